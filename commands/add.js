@@ -0,0 +1,107 @@
+import config, { getArchitectures } from "../utils/config.js";
+import { initRepo, generateStaticDeltas } from "../ostree/ostreeManager.js";
+import fetchAppstream from "../mirror/fetchAppstream.js";
+import { createRun, getChangedRefs } from "../mirror/syncRef.js";
+import { mirrorComponent } from "../mirror/mirrorComponent.js";
+import { fetchIcons } from "../mirror/fetchIcons.js";
+import { getRemotesByPriority } from "../mirror/remotes.js";
+import { isValidAppId } from "../mirror/selectComponents.js";
+import { loadState, saveState } from "../utils/state.js";
+import { publishRepo, readPublishedComponents } from "./publish.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "add" });
+
+/**
+ * Remotes to look for an app in: the one named with --remote, or all of
+ * them from highest to lowest priority.
+ */
+export function getRemotes(remoteName) {
+  if (!remoteName) {
+    return getRemotesByPriority();
+  }
+
+  const remotes = config.repo_remotes.filter((r) => r.name === remoteName);
+  if (remotes.length === 0) {
+    throw new Error(`Unknown remote: ${remoteName}`);
+  }
+  return remotes;
+}
+
+/**
+ * `add <appId>`: mirror a single app with its dependencies, keep it
+ * selected on later syncs, and republish.
+ */
+export default async function add({ positionals, values }) {
+  const [appId] = positionals;
+  if (!appId) {
+    throw new Error("Usage: add <appId> [--remote <name>] [--arch <arch>]");
+  }
+  if (!isValidAppId(appId)) {
+    throw new Error(`Invalid app ID: ${appId}`);
+  }
+
+  await initRepo();
+
+  const remotes = getRemotes(values.remote);
+  const architectures = values.arch ? [values.arch] : getArchitectures();
+  const run = createRun(await loadState());
+  const published = await readPublishedComponents();
+  let addedFrom = null;
+
+  for (const arch of architectures) {
+    for (const remote of remotes) {
+      const appstream_url = `${remote.url}/appstream/${arch}/appstream.xml.gz`;
+      let appstream_data;
+      try {
+        appstream_data = await fetchAppstream(
+          appstream_url,
+          arch,
+          remote.name,
+          (item) => item.id?.[0] === appId,
+        );
+      } catch (error) {
+        log.warn(
+          `⚠ Could not fetch ${arch} appstream from ${remote.name}: ${error.message}`,
+        );
+        continue;
+      }
+
+      const component = appstream_data.components.component.find(
+        (item) => item.id?.[0] === appId,
+      );
+      if (!component) {
+        continue;
+      }
+
+      const mirrored = await mirrorComponent(remote, arch, component, run);
+      if (mirrored) {
+        const others = (published.get(arch) || []).filter(
+          (item) => item.id?.[0] !== appId,
+        );
+        const [withIcons] = await fetchIcons(remote, arch, [mirrored]);
+        published.set(arch, [...others, withIcons]);
+        addedFrom = remote.name;
+        break;
+      }
+    }
+  }
+
+  if (!addedFrom) {
+    log.error(`✗ Could not mirror ${appId} from any remote`);
+    await saveState(run.state);
+    return 1;
+  }
+
+  // Keep the app selected on later syncs even if config doesn't match it
+  const { state } = run;
+  state.manualApps = state.manualApps.filter((app) => app.id !== appId);
+  state.manualApps.push({ id: appId, remote: addedFrom });
+  state.selectedRefs = [...new Set([...state.selectedRefs, ...run.pulledRefs])];
+  await saveState(state);
+
+  await generateStaticDeltas(getChangedRefs(run), run.previousCommits);
+  await publishRepo(published);
+  log.info(`\n✓ Added ${appId} from ${addedFrom}`);
+  return 0;
+}
@@ -0,0 +1,32 @@
+import { listLocalRefs } from "../ostree/ostreeManager.js";
+import { loadState } from "../utils/state.js";
+import { printLine } from "../utils/format.js";
+
+/**
+ * `list`: the apps and runtimes in the repository with their commits.
+ */
+export default async function list() {
+  const refs = await listLocalRefs();
+  const state = await loadState();
+
+  for (const kind of ["app", "runtime"]) {
+    const kindRefs = refs.filter((ref) => ref.startsWith(`${kind}/`)).sort();
+    printLine(
+      `\n${kind === "app" ? "Apps" : "Runtimes"} (${kindRefs.length}):`,
+    );
+
+    for (const ref of kindRefs) {
+      const entry = state.refs[ref];
+      const commit = entry?.localCommit?.substring(0, 8) || "-";
+      const mirroredAt = entry?.mirroredAt || "-";
+      const manual = state.manualApps.some((app) =>
+        ref.startsWith(`app/${app.id}/`),
+      )
+        ? " (added manually)"
+        : "";
+      printLine(`  ${ref}  ${commit}  ${mirroredAt}${manual}`);
+    }
+  }
+
+  return 0;
+}
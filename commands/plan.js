@@ -0,0 +1,181 @@
+import config from "../utils/config.js";
+import { listLocalRefs } from "../ostree/ostreeManager.js";
+import { createRun } from "../mirror/syncRef.js";
+import { planSync } from "../mirror/planSync.js";
+import { getFreeSpace, fitDiskBudget } from "../mirror/diskBudget.js";
+import { loadState } from "../utils/state.js";
+import { formatBytes, printLine } from "../utils/format.js";
+import { selectApps } from "./sync.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "plan" });
+
+const PLAN_VERSION = 1;
+
+// How each action is marked in the text output
+const MARKS = {
+  add: "+",
+  update: "~",
+  remove: "-",
+  missing: "!",
+  unknown: "?",
+};
+
+/**
+ * Local app and runtime refs a sync would delete as unselected.
+ */
+async function getRemovedRefs(keptRefs, incomplete) {
+  const deletesUnselected =
+    config.prune?.enabled && config.prune.delete_unselected !== false;
+  if (!deletesUnselected || incomplete) {
+    return [];
+  }
+
+  let localRefs;
+  try {
+    localRefs = await listLocalRefs();
+  } catch (error) {
+    return [];
+  }
+  return localRefs.filter(
+    (ref) =>
+      (ref.startsWith("app/") || ref.startsWith("runtime/")) &&
+      !keptRefs.has(ref),
+  );
+}
+
+/**
+ * Describe what a sync would do, in the shape printed by `plan --json`.
+ */
+async function createPlanReport(plan, run) {
+  const fit = fitDiskBudget(plan, await getFreeSpace(config.repo_name));
+  const trimmed = new Set(fit.trimmed);
+
+  const entries = new Map();
+  for (const app of fit.kept) {
+    app.refs.forEach((ref) => entries.set(ref, plan.refs.get(ref)));
+  }
+  // Trimmed apps keep the refs they already have
+  for (const app of fit.trimmed) {
+    for (const ref of app.refs) {
+      const entry = plan.refs.get(ref);
+      if (!entries.has(ref) && entry.localCommit) {
+        entries.set(ref, { ...entry, action: "keep" });
+      }
+    }
+  }
+
+  const refs = [...entries.values()].map(({ dependencies, ...entry }) => entry);
+  const removed = await getRemovedRefs(new Set(entries.keys()), run.incomplete);
+  for (const ref of removed) {
+    refs.push({
+      ref,
+      remote: null,
+      action: "remove",
+      localCommit: run.state.refs[ref]?.localCommit || null,
+      upstreamCommit: null,
+      installedSize: null,
+      downloadSize: null,
+    });
+  }
+  refs.sort((a, b) => a.ref.localeCompare(b.ref));
+
+  const counts = {
+    add: 0,
+    update: 0,
+    remove: 0,
+    keep: 0,
+    missing: 0,
+    unknown: 0,
+  };
+  refs.forEach((entry) => counts[entry.action]++);
+
+  return {
+    version: PLAN_VERSION,
+    repository: config.repo_name,
+    plannedAt: new Date().toISOString(),
+    incomplete: Boolean(run.incomplete),
+    counts,
+    disk: {
+      downloadSize: fit.downloadSize,
+      mirrorSize: fit.mirrorSize,
+      available: fit.available,
+      budget: Number.isFinite(fit.budget) ? fit.budget : null,
+      onExceed: config.disk?.on_exceed === "refuse" ? "refuse" : "trim",
+      fits: fit.trimmed.length === 0,
+    },
+    apps: plan.apps.map((app) => ({
+      appId: app.appId,
+      arch: app.arch,
+      remote: app.remote,
+      priority: app.priority,
+      manual: app.manual,
+      ref: app.ref,
+      trimmed: trimmed.has(app),
+    })),
+    refs,
+  };
+}
+
+function printPlan(report) {
+  const changes = report.refs.filter((entry) => entry.action in MARKS);
+  printLine(`Plan for ${report.repository}:\n`);
+  for (const entry of changes) {
+    const size =
+      entry.downloadSize === null ? "" : `, ${formatBytes(entry.downloadSize)}`;
+    const from = entry.remote ? ` (${entry.remote}${size})` : "";
+    printLine(`  ${MARKS[entry.action]} ${entry.ref}${from}`);
+  }
+  if (changes.length === 0) {
+    printLine("  Nothing to change");
+  }
+
+  const { counts, disk } = report;
+  printLine(
+    `\n${counts.add} to add, ${counts.update} to update, ${counts.remove} to remove, ${counts.keep} unchanged`,
+  );
+  if (counts.missing > 0) {
+    log.warn(`⚠ ${counts.missing} refs are not offered by their remote`);
+  }
+  if (counts.unknown > 0) {
+    log.warn(
+      `⚠ ${counts.unknown} refs could not be checked, their remote's summary is unreachable`,
+    );
+  }
+  printLine(
+    `Estimated download: ${formatBytes(disk.downloadSize)} (${formatBytes(disk.available)} available)`,
+  );
+
+  const trimmed = report.apps.filter((app) => app.trimmed);
+  if (trimmed.length > 0) {
+    const verb = disk.onExceed === "refuse" ? "refuse to sync" : "skip";
+    log.warn(
+      `⚠ Over the disk budget, a sync would ${verb}: ${trimmed.map((app) => `${app.appId} (${app.arch})`).join(", ")}`,
+    );
+  }
+  if (report.incomplete) {
+    log.warn("⚠ Some catalogs or dependencies could not be resolved");
+  }
+}
+
+/**
+ * `plan` (or `sync --dry-run`): resolve the selection and show which refs a
+ * sync would add, update or remove, without touching the repository.
+ * Exits non-zero when a sync would refuse to run for lack of space.
+ */
+export default async function plan({ values = {} } = {}) {
+  const run = createRun(await loadState());
+  const selectionsByArch = await selectApps(run);
+  const report = await createPlanReport(
+    await planSync(selectionsByArch, run.state),
+    run,
+  );
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    printPlan(report);
+  }
+
+  return report.disk.fits || report.disk.onExceed !== "refuse" ? 0 : 1;
+}
@@ -0,0 +1,31 @@
+import config from "../utils/config.js";
+import { pruneRepo } from "../ostree/ostreeManager.js";
+import { loadState, saveState } from "../utils/state.js";
+import { publishRepo, readPublishedComponents } from "./publish.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "prune" });
+
+/**
+ * `prune`: delete refs the last sync no longer selected, prune objects and
+ * republish so the summary and appstream stop listing what was deleted.
+ */
+export default async function prune() {
+  const state = await loadState();
+  const keepRefs = new Set(state.selectedRefs);
+
+  // Without a recorded selection every ref would look unselected
+  const deleteUnselected =
+    config.prune?.delete_unselected !== false && keepRefs.size > 0;
+  if (keepRefs.size === 0) {
+    log.warn("⚠ No sync recorded yet, only pruning unreachable objects");
+  }
+
+  const { deletedRefs } = await pruneRepo(keepRefs, { deleteUnselected });
+  deletedRefs.forEach((ref) => delete state.refs[ref]);
+  await saveState(state);
+
+  // readPublishedComponents skips apps whose refs are gone
+  await publishRepo(await readPublishedComponents());
+  return 0;
+}
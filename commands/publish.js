@@ -0,0 +1,90 @@
+import config, { getArchitectures } from "../utils/config.js";
+import {
+  initRepo,
+  createSummary,
+  generateAppstream,
+  readPublishedAppstream,
+  resolveRef,
+} from "../ostree/ostreeManager.js";
+import {
+  generateFlatpakrepoFile,
+  generateFlatpakrefFiles,
+} from "../ostree/clientFiles.js";
+import { removeStaleIcons } from "../mirror/fetchIcons.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "publish" });
+
+/**
+ * Regenerate everything clients read: appstream, appstream refs, the
+ * summary and the client setup files. Resolves with the number of apps
+ * published.
+ */
+export async function publishRepo(componentsByArch) {
+  let publishedCount = 0;
+
+  // Generate appstream metadata for mirrored apps, one tree per architecture
+  for (const arch of getArchitectures()) {
+    const components = componentsByArch.get(arch) || [];
+    publishedCount += components.length;
+    await removeStaleIcons(arch, components);
+
+    if (components.length === 0) {
+      log.warn(`\n⚠ No ${arch} apps are mirrored, publishing an empty catalog`);
+    }
+
+    // An empty catalog replaces the old one, so removed apps aren't offered
+    log.info(
+      `\nGenerating ${arch} appstream metadata for ${components.length} apps...`,
+    );
+    await generateAppstream(components, arch);
+  }
+
+  // Update the repository summary after all packages are fetched
+  log.info("\nUpdating repository metadata...");
+  await createSummary();
+
+  // Generate .flatpakrepo file for easy client setup
+  log.info("\nGenerating .flatpakrepo file...");
+  await generateFlatpakrepoFile();
+
+  // Generate one .flatpakref per mirrored app for one-click installs
+  log.info("\nGenerating .flatpakref files...");
+  await generateFlatpakrefFiles(componentsByArch);
+
+  return publishedCount;
+}
+
+/**
+ * Published components of every architecture, keeping only apps whose
+ * ref still exists locally.
+ */
+export async function readPublishedComponents() {
+  const componentsByArch = new Map();
+
+  for (const arch of getArchitectures()) {
+    const components = [];
+    for (const component of await readPublishedAppstream(arch)) {
+      const bundleRef = component.bundle?.[0]?._;
+      if (bundleRef && (await resolveRef(bundleRef))) {
+        components.push(component);
+      }
+    }
+    componentsByArch.set(arch, components);
+  }
+
+  return componentsByArch;
+}
+
+/**
+ * `publish`: rebuild summary and appstream from what is already mirrored.
+ */
+export default async function publish() {
+  await initRepo();
+
+  const componentsByArch = await readPublishedComponents();
+  const count = await publishRepo(componentsByArch);
+
+  log.info(`\n✓ Published ${count} applications from ${config.repo_name}`);
+  return 0;
+}
@@ -0,0 +1,52 @@
+import config from "../utils/config.js";
+import { deleteRef, listLocalRefs } from "../ostree/ostreeManager.js";
+import { loadState, saveState } from "../utils/state.js";
+import { publishRepo, readPublishedComponents } from "./publish.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "remove" });
+
+/**
+ * `remove <appId>`: delete an app's refs on every architecture and branch
+ * and republish without it. Its runtime is left for `prune` to decide.
+ */
+export default async function remove({ positionals }) {
+  const [appId] = positionals;
+  if (!appId) {
+    throw new Error("Usage: remove <appId>");
+  }
+
+  const appRefs = (await listLocalRefs()).filter((ref) =>
+    ref.startsWith(`app/${appId}/`),
+  );
+  if (appRefs.length === 0) {
+    log.error(`✗ ${appId} is not mirrored in ${config.repo_name}`);
+    return 1;
+  }
+
+  const state = await loadState();
+  for (const ref of appRefs) {
+    await deleteRef(ref);
+    delete state.refs[ref];
+    log.info(`✓ Deleted ${ref}`);
+  }
+  state.selectedRefs = state.selectedRefs.filter(
+    (ref) => !appRefs.includes(ref),
+  );
+  state.manualApps = state.manualApps.filter((app) => app.id !== appId);
+  await saveState(state);
+
+  const stillSelected = config.repo_remotes.some((remote) =>
+    remote.include?.ids?.includes(appId),
+  );
+  if (stillSelected) {
+    log.warn(
+      `⚠ ${appId} is still listed in config.yaml and will be mirrored again on the next sync`,
+    );
+  }
+
+  // readPublishedComponents skips apps whose refs are gone
+  await publishRepo(await readPublishedComponents());
+  log.info(`\n✓ Removed ${appId}`);
+  return 0;
+}
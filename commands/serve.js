@@ -0,0 +1,9 @@
+import { serveRepo } from "../server/serveRepo.js";
+
+/**
+ * `serve`: serve the repository over HTTP until interrupted.
+ */
+export default async function serve({ values }) {
+  await serveRepo({ host: values.host, port: Number(values.port) });
+  return 0;
+}
@@ -0,0 +1,59 @@
+import config, { getArchitectures } from "../utils/config.js";
+import { listLocalRefs } from "../ostree/ostreeManager.js";
+import { loadState, getStateDir } from "../utils/state.js";
+import { getSigningKey } from "../utils/gpg.js";
+import { getRepoInfo } from "../utils/repoInfo.js";
+import { printLine } from "../utils/format.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "status" });
+
+/**
+ * `status`: configuration and the outcome of the last sync at a glance.
+ */
+export default async function status() {
+  const state = await loadState();
+
+  printLine(`Repository:    ${config.repo_name}`);
+  printLine(`Public URL:    ${getRepoInfo().url}`);
+  printLine(`State:         ${getStateDir()}`);
+  printLine(`Architectures: ${getArchitectures().join(", ")}`);
+  printLine(
+    `Remotes:       ${config.repo_remotes.map((r) => r.name).join(", ")}`,
+  );
+  printLine(`Signing key:   ${getSigningKey()?.keyId || "none (unsigned)"}`);
+  printLine(`Last sync:     ${state.lastSync || "never"}`);
+
+  let refs = [];
+  try {
+    refs = await listLocalRefs();
+  } catch (error) {
+    log.warn(`⚠ Could not list refs: ${error.message}`);
+  }
+  const apps = refs.filter((ref) => ref.startsWith("app/")).length;
+  const runtimes = refs.filter((ref) => ref.startsWith("runtime/")).length;
+  printLine(`\nRefs: ${apps} apps, ${runtimes} runtimes`);
+
+  const outcomes = {};
+  for (const entry of Object.values(state.refs)) {
+    outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+  }
+  for (const [outcome, count] of Object.entries(outcomes)) {
+    printLine(`  ${outcome}: ${count}`);
+  }
+
+  const failed = Object.entries(state.refs).filter(
+    ([, entry]) => entry.outcome === "failed",
+  );
+  if (failed.length > 0) {
+    printLine(`\nFailed refs:`);
+    failed.forEach(([ref, entry]) => printLine(`  ${ref}: ${entry.error}`));
+  }
+
+  if (state.manualApps.length > 0) {
+    printLine(`\nAdded manually:`);
+    state.manualApps.forEach((app) => printLine(`  ${app.id} (${app.remote})`));
+  }
+
+  return 0;
+}
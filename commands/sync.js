@@ -0,0 +1,315 @@
+import config, { getArchitectures } from "../utils/config.js";
+import {
+  initRepo,
+  pruneRepo,
+  generateStaticDeltas,
+  readPublishedAppstream,
+} from "../ostree/ostreeManager.js";
+import fetchAppstream from "../mirror/fetchAppstream.js";
+import { createRun, summarizeRun, getChangedRefs } from "../mirror/syncRef.js";
+import {
+  selectComponents,
+  createSelector,
+  isValidAppId,
+} from "../mirror/selectComponents.js";
+import { mirrorComponent } from "../mirror/mirrorComponent.js";
+import { fetchIcons } from "../mirror/fetchIcons.js";
+import { planSync } from "../mirror/planSync.js";
+import { checkDiskBudget } from "../mirror/diskBudget.js";
+import {
+  resolveAppOwners,
+  getRemotePriority,
+  getRemotesByPriority,
+} from "../mirror/remotes.js";
+import { loadState, saveState } from "../utils/state.js";
+import { printClientInstructions } from "../ostree/clientFiles.js";
+import { publishRepo, readPublishedComponents } from "./publish.js";
+import { createRunReport, writeRunReport } from "../utils/runReport.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "sync" });
+
+/**
+ * Predicate applied while the catalog streams in, so only components the
+ * remote might mirror are kept in memory.
+ */
+function createRemoteFilter(remote, state) {
+  const matches = createSelector(remote);
+  const manualIds = state.manualApps
+    .filter((app) => app.remote === remote.name)
+    .map((app) => app.id);
+
+  return (component) =>
+    matches(component) ||
+    (isValidAppId(component.id?.[0]) && manualIds.includes(component.id?.[0]));
+}
+
+/**
+ * Components of a catalog a remote should mirror: those matching its
+ * selection rules plus apps added by hand with the `add` command.
+ */
+function selectRemoteComponents(allComponents, remote, state) {
+  const selected = selectComponents(allComponents, remote);
+  const manualIds = state.manualApps
+    .filter((app) => app.remote === remote.name)
+    .map((app) => app.id);
+
+  for (const component of allComponents) {
+    const id = component.id?.[0];
+    if (manualIds.includes(id) && !selected.includes(component)) {
+      selected.push(component);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Whether an app was last mirrored from a higher-priority remote whose
+ * catalog could not be fetched this run. Such apps are left alone rather
+ * than replaced by a lower-priority remote's build.
+ */
+function isHeldByFailedRemote(component, arch, remote, failedRemotes, run) {
+  const id = component.id?.[0];
+  return Object.entries(run.state.refs).some(
+    ([ref, entry]) =>
+      ref.startsWith(`app/${id}/${arch}/`) &&
+      failedRemotes.some(
+        (failed) =>
+          failed.name === entry.remote &&
+          getRemotePriority(failed) > getRemotePriority(remote),
+      ),
+  );
+}
+
+/**
+ * Read every remote's catalog and select the apps to mirror, each owned
+ * by the highest-priority remote offering it. Resolves with a map of
+ * architecture to `{ remote, components }` lists; catalogs that could not
+ * be fetched mark the run incomplete.
+ */
+export async function selectApps(run) {
+  const selectionsByArch = new Map();
+
+  for (const arch of getArchitectures()) {
+    // Catalogs of every remote are read first so app ownership can be decided
+    const selections = [];
+    const failedRemotes = [];
+
+    // Highest priority first, so failed catalogs are known before they matter
+    for (const remote of getRemotesByPriority()) {
+      // Get appstream
+      const appstream_url = `${remote.url}/appstream/${arch}/appstream.xml.gz`;
+      let appstream_data;
+      try {
+        appstream_data = await fetchAppstream(
+          appstream_url,
+          arch,
+          remote.name,
+          createRemoteFilter(remote, run.state),
+        );
+      } catch (error) {
+        log.error(
+          `✗ Failed to fetch ${arch} appstream from ${remote.name}: ${error.message}`,
+        );
+        // Without the catalog we can't tell which refs are still selected
+        run.incomplete = true;
+        failedRemotes.push(remote);
+        continue;
+      }
+
+      // Only mirror the components selected by the remote's include/exclude rules
+      const components = selectRemoteComponents(
+        appstream_data.components.component,
+        remote,
+        run.state,
+      );
+      selections.push({
+        remote,
+        components: components.filter(
+          (component) =>
+            !isHeldByFailedRemote(component, arch, remote, failedRemotes, run),
+        ),
+      });
+    }
+
+    // Each app ID is mirrored from the highest-priority remote offering it
+    selectionsByArch.set(arch, resolveAppOwners(selections, arch));
+  }
+
+  return selectionsByArch;
+}
+
+/**
+ * Keep the refs of trimmed apps that are already mirrored, so a full disk
+ * leaves them at their current version instead of pruning them.
+ */
+function holdTrimmedApps(trimmed, plan, run) {
+  for (const app of trimmed) {
+    for (const ref of app.refs) {
+      if (plan.refs.get(ref).localCommit) {
+        run.heldRefs.add(ref);
+      }
+    }
+  }
+}
+
+/**
+ * Published components of trimmed apps whose refs are still held.
+ */
+async function readHeldComponents(arch, trimmed, plan) {
+  const heldIds = trimmed
+    .filter((app) => app.arch === arch && plan.refs.get(app.ref).localCommit)
+    .map((app) => app.appId);
+  if (heldIds.length === 0) {
+    return [];
+  }
+
+  const published = await readPublishedAppstream(arch);
+  return published.filter((component) => heldIds.includes(component.id?.[0]));
+}
+
+/**
+ * `sync`: mirror every selected app from every remote, prune, and publish.
+ */
+export default async function sync() {
+  // Initialize the repository
+  await initRepo();
+
+  // Mirror state from previous runs, so unchanged refs are not pulled again
+  const run = createRun(await loadState());
+
+  // The run report is written even when the sync fails part way
+  let failure = null;
+  try {
+    await syncRun(run);
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    try {
+      const reportPath = await writeRunReport(
+        createRunReport(run, { error: failure }),
+      );
+      log.info(`\nRun report: ${reportPath}`);
+    } catch (error) {
+      log.warn(`⚠ Could not write run report: ${error.message}`);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Mirror, prune and publish for one sync run.
+ */
+async function syncRun(run) {
+  // Track all components we successfully mirror, per architecture
+  const mirroredComponents = new Map();
+  const architectures = getArchitectures();
+
+  const selectionsByArch = await selectApps(run);
+
+  // Check the whole run fits on disk before anything is pulled
+  log.info("\nEstimating disk usage...");
+  const plan = await planSync(selectionsByArch, run.state);
+  const { trimmed } = await checkDiskBudget(plan);
+  holdTrimmedApps(trimmed, plan, run);
+
+  for (const arch of architectures) {
+    mirroredComponents.set(arch, []);
+
+    for (const { remote, components } of selectionsByArch.get(arch)) {
+      const kept = components.filter(
+        (component) =>
+          !trimmed.some(
+            (app) => app.arch === arch && app.appId === component.id?.[0],
+          ),
+      );
+
+      log.info(`\nMirroring ${arch} from ${remote.name}...`);
+      log.info(
+        `Selected ${kept.length} components from ${remote.name} (${arch})`,
+      );
+
+      // Apps are processed concurrently; the run's queue bounds the pulls
+      const results = await Promise.all(
+        kept.map((component, i) =>
+          mirrorComponent(remote, arch, component, run, i, kept.length),
+        ),
+      );
+
+      // Icons go into the active appstream tree before it is committed
+      const mirrored = await fetchIcons(remote, arch, results.filter(Boolean));
+      mirroredComponents.get(arch).push(...mirrored);
+
+      log.info(`\nCompleted mirroring ${arch} from ${remote.name}`);
+    }
+
+    // Trimmed apps mirrored before stay published at their current version
+    mirroredComponents
+      .get(arch)
+      .push(...(await readHeldComponents(arch, trimmed, plan)));
+  }
+
+  // Persist what was mirrored so the next run can skip unchanged refs.
+  // After an incomplete run, refs selected earlier stay selected.
+  const keptRefs = new Set([...run.pulledRefs, ...run.heldRefs]);
+  run.state.selectedRefs = run.incomplete
+    ? [...new Set([...run.state.selectedRefs, ...keptRefs])]
+    : [...keptRefs];
+  run.state.lastSync = new Date().toISOString();
+  await saveState(run.state);
+
+  const counts = summarizeRun(run);
+  log.info(
+    `\nRefs: ${counts["up-to-date"]} up to date, ${counts.updated} updated, ${counts.new} new, ${counts.failed} failed`,
+  );
+
+  // Deltas need the previous commits, which pruning may remove
+  await generateStaticDeltas(getChangedRefs(run), run.previousCommits);
+
+  // Drop refs that are no longer selected and old commits beyond the retention
+  if (config.prune?.enabled) {
+    const deleteUnselected = config.prune.delete_unselected !== false;
+    if (deleteUnselected && run.incomplete) {
+      log.warn(
+        "\n⚠ Some catalogs or dependencies could not be resolved, keeping unselected refs",
+      );
+    }
+
+    try {
+      const { deletedRefs } = await pruneRepo(keptRefs, {
+        deleteUnselected: deleteUnselected && !run.incomplete,
+      });
+      deletedRefs.forEach((ref) => delete run.state.refs[ref]);
+      await saveState(run.state);
+    } catch (error) {
+      log.error(`✗ Prune failed: ${error.message}`);
+    }
+  }
+
+  // Apps of remotes whose catalog failed stay published as they were,
+  // rather than an empty catalog replacing them
+  if (run.incomplete) {
+    const published = await readPublishedComponents();
+    for (const [arch, components] of mirroredComponents) {
+      const ids = new Set(components.map((component) => component.id?.[0]));
+      components.push(
+        ...published
+          .get(arch)
+          .filter((component) => !ids.has(component.id?.[0])),
+      );
+    }
+  }
+
+  const mirroredCount = await publishRepo(mirroredComponents);
+
+  log.info("\n✓ Repository update complete!");
+  log.info(`Repository location: ${config.repo_name}`);
+  log.info(`Mirrored ${mirroredCount} applications`);
+  log.info(
+    `\nYou can now serve this repository via HTTP (node index.js serve) and add it to Flatpak clients.`,
+  );
+  printClientInstructions();
+}
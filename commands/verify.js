@@ -0,0 +1,12 @@
+import { verifyRepo } from "../ostree/verifyRepo.js";
+import { loadState } from "../utils/state.js";
+
+/**
+ * `verify`: check the repository is consistent and print a JSON report.
+ * Exits non-zero when any check found problems.
+ */
+export default async function verify() {
+  const report = await verifyRepo(await loadState());
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  return report.ok ? 0 : 1;
+}
@@ -1,166 +1,139 @@
-import config from "./utils/config.js";
-import {
-  initRepo,
-  createSummary,
-  generateAppstream,
-} from "./ostree/ostreeManager.js";
-import fetchAppstream from "./mirror/fetchAppstream.js";
-import { fetchPackage } from "./mirror/fetchPackage.js";
-import fs from "fs/promises";
+#!/usr/bin/env node
+import { parseArgs } from "util";
 import path from "path";
 
+import config, { loadConfig } from "./utils/config.js";
+import logger, { configureLogger } from "./utils/logger.js";
+
 import dotenv from "dotenv";
 
 // Load environment variables
 dotenv.config();
 
-console.log("=== usrpkg-builder ===");
-console.log("Flatpak repo management tool\n");
-
-// Initialize the repository
-await initRepo();
-
-// Track all components we successfully mirror
-const mirroredComponents = [];
-
-// Process each remote
-for (const remote of config.repo_remotes) {
-  console.log(`\nMirroring from ${remote.name}...`);
-
-  // Get appstream
-  const appstream_url = `${remote.url}/appstream/x86_64/appstream.xml.gz`;
-  const appstream_data = await fetchAppstream(appstream_url);
-
-  // Fetch packages for each component (limiting to first 3 for testing)
-  // To mirror more apps, change .slice(0, 3) to .slice(0, 10) or remove it entirely
-  const components = appstream_data.components.component.slice(0, 3);
-
-  for (let i = 0; i < components.length; i++) {
-    const component = components[i];
-    const appId = component.id?.[0] || "unknown";
-
-    console.log(`\n[${i + 1}/${components.length}] Processing ${appId}...`);
-
-    try {
-      // Get bundle information
-      const bundle = component.bundle?.[0]?.["$"];
-      if (!bundle) {
-        console.log(`  ⚠ No bundle information found, skipping`);
-        continue;
-      }
-
-      const runtime = bundle?.runtime;
-      const sdk = bundle?.sdk;
-      let appFetched = false;
-
-      // Fetch the application itself
-      if (bundle.type === "flatpak") {
-        const appRef = `app/${appId}/x86_64/stable`;
-        console.log(`  → Fetching app: ${appRef}`);
-        try {
-          await fetchPackage(remote.name, appRef);
-          console.log(`  ✓ App fetched successfully`);
-          appFetched = true;
-        } catch (error) {
-          console.error(`  ✗ Failed to fetch app: ${error.message}`);
-        }
-      }
-
-      // Fetch runtime if specified
-      if (runtime) {
-        console.log(`  → Fetching runtime: ${runtime}`);
-        try {
-          await fetchPackage(remote.name, "runtime/" + runtime);
-          console.log(`  ✓ Runtime fetched successfully`);
-        } catch (error) {
-          console.error(`  ✗ Failed to fetch runtime: ${error.message}`);
-        }
-      }
-
-      // Fetch SDK if specified (optional, usually not needed for end users)
-      // Uncomment if you want to mirror SDKs too
-      /*
-      if (sdk) {
-        console.log(`  → Fetching SDK: ${sdk}`);
-        try {
-          await fetchPackage(remote.name, "runtime/" + sdk);
-          console.log(`  ✓ SDK fetched successfully`);
-        } catch (error) {
-          console.error(`  ✗ Failed to fetch SDK: ${error.message}`);
-        }
-      }
-      */
-
-      // If app was successfully fetched, add to mirrored components
-      if (appFetched) {
-        mirroredComponents.push(component);
-      }
-    } catch (error) {
-      console.error(`  ✗ Error processing ${appId}: ${error.message}`);
-    }
-  }
+const USAGE = `Usage: usrpkg-builder [options] <command> [args]
+
+Commands:
+  sync              Mirror every selected app, prune and publish
+  plan              Show what a sync would change, without changing anything
+  add <appId>       Mirror one app (and its dependencies) and publish
+  remove <appId>    Delete an app's refs and publish
+  list              List mirrored apps and runtimes
+  status            Show configuration and the last sync's outcome
+  prune             Delete unselected refs and prune old objects
+  verify            Check the repository is consistent (JSON report)
+  publish           Regenerate appstream, summary and client files only
+  serve             Serve the repository over HTTP
+
+Options:
+  -c, --config <path>     Config file (default: config.yaml)
+  -r, --repo <path>       Repository path, overriding repo_name
+  -l, --log-level <level> debug, info, warn or error (default: info)
+      --log-format <fmt>  text, or json for one JSON object per line
+  -q, --quiet             Only log warnings and errors
+      --offline           Use cached appstream catalogs only
+      --dry-run           sync: show the plan instead of syncing
+      --json              plan: print the plan as JSON
+      --remote <name>     add: only look in this remote
+      --arch <arch>       add: only mirror this architecture
+      --host <host>       serve: address to bind (default: 0.0.0.0)
+      --port <port>       serve: port to listen on (default: 8080)
+  -h, --help              Show this help`;
+
+// Subcommands are imported on demand so `serve` doesn't load the mirror code
+const COMMANDS = [
+  "sync",
+  "plan",
+  "add",
+  "remove",
+  "list",
+  "status",
+  "prune",
+  "verify",
+  "publish",
+  "serve",
+];
+
+// Commands whose stdout is their output, kept apart from the log
+const REPORT_COMMANDS = ["verify", "list", "status", "plan"];
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      repo: { type: "string", short: "r" },
+      "log-level": { type: "string", short: "l" },
+      "log-format": { type: "string" },
+      quiet: { type: "boolean", short: "q" },
+      offline: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      json: { type: "boolean" },
+      remote: { type: "string" },
+      arch: { type: "string" },
+      host: { type: "string", default: "0.0.0.0" },
+      port: { type: "string", default: "8080" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (error) {
+  process.stderr.write(`✗ ${error.message}\n\n${USAGE}\n`);
+  process.exit(1);
+}
+
+const [commandName, ...positionals] = args.positionals;
 
-  console.log(`\nCompleted mirroring from ${remote.name}`);
+if (args.values.help || !commandName) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(commandName || args.values.help ? 0 : 1);
 }
 
-// Generate appstream metadata for mirrored apps
-if (mirroredComponents.length > 0) {
-  console.log(
-    `\nGenerating appstream metadata for ${mirroredComponents.length} apps...`,
-  );
-  await generateAppstream(mirroredComponents);
-} else {
-  console.log(
-    `\n⚠ No apps were successfully mirrored, skipping appstream generation`,
-  );
+if (!COMMANDS.includes(commandName)) {
+  process.stderr.write(`✗ Unknown command: ${commandName}\n\n${USAGE}\n`);
+  process.exit(1);
 }
 
-// Update the repository summary after all packages are fetched
-console.log("\nUpdating repository metadata...");
-await createSummary();
-
-// Generate .flatpakrepo file for easy client setup
-console.log("\nGenerating .flatpakrepo file...");
-await generateFlatpakrepoFile();
-
-console.log("\n✓ Repository update complete!");
-console.log(`Repository location: ${config.repo_name}`);
-console.log(`Mirrored ${mirroredComponents.length} applications`);
-console.log(
-  `\nYou can now serve this repository via HTTP and add it to Flatpak clients.`,
-);
-console.log(`\nClients can add the repository using:`);
-console.log(
-  `  flatpak remote-add --user ${config.repo_name} http://192.168.3.140/usrpkg-builder/usrpkg-repo/${config.repo_name}.flatpakrepo`,
-);
-console.log(`\nOr directly:`);
-console.log(
-  `  flatpak remote-add --user --no-gpg-verify ${config.repo_name} http://192.168.3.140/usrpkg-builder/usrpkg-repo/`,
-);
-console.log(`\nThen update appstream:`);
-console.log(`  flatpak update --appstream ${config.repo_name}`);
-
-async function generateFlatpakrepoFile() {
-  const repoPath = config.repo_name;
-  const repoUrl = "http://192.168.3.140/usrpkg-builder/usrpkg-repo/";
-  const repoTitle =
-    config.repo_title || config.repo_name || "UsrPkg Repository";
-
-  const flatpakrepoContent = `[Flatpak Repo]
-Title=${repoTitle}
-Url=${repoUrl}
-Homepage=${repoUrl}
-Comment=Local Flatpak mirror
-Description=Mirrored Flatpak packages for local network use
-GPGVerify=false
-`;
-
-  const outputPath = path.join(repoPath, `${config.repo_name}.flatpakrepo`);
-
-  try {
-    await fs.writeFile(outputPath, flatpakrepoContent);
-    console.log(`✓ Created ${config.repo_name}.flatpakrepo`);
-  } catch (error) {
-    console.warn(`⚠ Could not create .flatpakrepo file: ${error.message}`);
+// `sync --dry-run` is the same as `plan`
+const moduleName =
+  commandName === "sync" && args.values["dry-run"] ? "plan" : commandName;
+const printsReport = REPORT_COMMANDS.includes(moduleName) || args.values.json;
+
+const log = logger.child({ command: moduleName });
+
+try {
+  if (args.values.config) {
+    loadConfig(path.resolve(args.values.config));
   }
+
+  // Command-line flags win over the config file
+  configureLogger({
+    level: args.values.quiet
+      ? "warn"
+      : args.values["log-level"] || config.logging?.level || "info",
+    format: args.values["log-format"] || config.logging?.format || "text",
+    stderr: Boolean(printsReport),
+  });
+
+  const repoPath = args.values.repo && path.resolve(args.values.repo);
+  if (repoPath && repoPath !== path.resolve(config.repo_name)) {
+    // Another repository keeps its own state, next to it
+    config.repo_name = args.values.repo;
+    config.state_dir = `${repoPath}-state`;
+  }
+  if (args.values.offline) {
+    config.appstream = { ...config.appstream, offline: true };
+  }
+
+  if (!printsReport) {
+    log.info("=== usrpkg-builder ===");
+    log.info("Flatpak repo management tool\n");
+  }
+
+  const { default: command } = await import(`./commands/${moduleName}.js`);
+
+  // Exit codes are set rather than forced so `serve` keeps running
+  process.exitCode = await command({ positionals, values: args.values });
+} catch (error) {
+  log.error(`✗ ${error.message}`);
+  process.exitCode = 1;
 }
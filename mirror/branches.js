@@ -0,0 +1,63 @@
+import config from "../utils/config.js";
+
+/**
+ * Branch to mirror for an app: a per-app override from `app_branches`,
+ * then the remote's `branch`, then `stable`.
+ */
+export function getAppBranch(remote, appId) {
+  return remote.app_branches?.[appId] || remote.branch || "stable";
+}
+
+/**
+ * Pinned branch for a runtime name, checking the remote before the
+ * global `runtime_branches` map.
+ */
+export function getRuntimePin(remote, name) {
+  const pin =
+    remote?.runtime_branches?.[name] ?? config.runtime_branches?.[name];
+  return pin === undefined ? null : String(pin);
+}
+
+/**
+ * Rewrite a `runtime/<name>/<arch>/<branch>` ref (or the bare
+ * `<name>/<arch>/<branch>` form used in metadata) to its pinned branch.
+ */
+export function pinRuntimeRef(remote, ref) {
+  const prefixed = ref.startsWith("runtime/");
+  const parts = (prefixed ? ref.slice("runtime/".length) : ref).split("/");
+  if (parts.length !== 3) {
+    return ref;
+  }
+
+  const pin = getRuntimePin(remote, parts[0]);
+  if (!pin) {
+    return ref;
+  }
+
+  const pinned = `${parts[0]}/${parts[1]}/${pin}`;
+  return prefixed ? `runtime/${pinned}` : pinned;
+}
+
+/**
+ * Point an appstream component's `<bundle>` at the app ref and runtime we
+ * actually mirrored, so clients install the same branch.
+ */
+export function applyBundleBranch(component, appRef, runtime) {
+  const bundle = component.bundle?.[0];
+  if (!bundle) {
+    return component;
+  }
+
+  const attributes = { ...bundle.$ };
+  if (runtime) {
+    attributes.runtime = runtime;
+  }
+
+  return {
+    ...component,
+    bundle: [
+      { ...bundle, _: appRef, $: attributes },
+      ...component.bundle.slice(1),
+    ],
+  };
+}
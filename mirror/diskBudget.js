@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import path from "path";
+
+import config from "../utils/config.js";
+import { formatBytes } from "../utils/format.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "disk" });
+
+const GB = 1024 ** 3;
+
+// Free space left on the repository's filesystem by default (GB)
+const DEFAULT_RESERVE = 1;
+
+// Actions that download the ref
+const PULL_ACTIONS = ["add", "update"];
+
+/**
+ * Space available to unprivileged writes on the filesystem holding `dir`,
+ * measured on its nearest existing ancestor when it doesn't exist yet.
+ */
+export async function getFreeSpace(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    try {
+      const stats = await fs.statfs(current);
+      return stats.bavail * stats.bsize;
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== "ENOENT" || parent === current) {
+        throw error;
+      }
+      current = parent;
+    }
+  }
+}
+
+function sumDownloadSizes(entries) {
+  return entries.reduce((total, entry) => total + (entry.downloadSize || 0), 0);
+}
+
+/**
+ * Fit a plan into `disk.budget` and the free space above `disk.reserve`.
+ * Apps are admitted from highest to lowest priority and those that no
+ * longer fit are trimmed. A ref shared by several apps counts once.
+ *
+ * Download sizes stand in for what an archive repository stores; objects
+ * shared between refs make the estimate err on the high side.
+ */
+export function fitDiskBudget(plan, freeSpace) {
+  const budget = (config.disk?.budget || 0) * GB || Infinity;
+  const available = freeSpace - (config.disk?.reserve ?? DEFAULT_RESERVE) * GB;
+
+  const counted = new Set();
+  const fit = {
+    kept: [],
+    trimmed: [],
+    mirrorSize: 0,
+    downloadSize: 0,
+    budget,
+    available,
+  };
+
+  for (const app of plan.apps) {
+    const added = app.refs
+      .filter((ref) => !counted.has(ref))
+      .map((ref) => plan.refs.get(ref));
+    const size = sumDownloadSizes(added);
+    const download = sumDownloadSizes(
+      added.filter((entry) => PULL_ACTIONS.includes(entry.action)),
+    );
+
+    if (
+      fit.mirrorSize + size > budget ||
+      fit.downloadSize + download > available
+    ) {
+      fit.trimmed.push(app);
+      continue;
+    }
+
+    added.forEach((entry) => counted.add(entry.ref));
+    fit.mirrorSize += size;
+    fit.downloadSize += download;
+    fit.kept.push(app);
+  }
+
+  return fit;
+}
+
+/**
+ * Check a plan against the disk budget before anything is pulled. Apps
+ * that don't fit are trimmed, or with `disk.on_exceed: refuse` the sync
+ * is stopped. Resolves with the result of fitDiskBudget.
+ */
+export async function checkDiskBudget(plan) {
+  const freeSpace = await getFreeSpace(config.repo_name);
+  const fit = fitDiskBudget(plan, freeSpace);
+
+  const unsized = [...plan.refs.values()].filter(
+    (entry) => entry.downloadSize === null,
+  );
+  if (unsized.length > 0) {
+    log.warn(
+      `⚠ ${unsized.length} refs have no size in their remote's summary and are left out of the estimate`,
+    );
+  }
+
+  log.info(
+    `Planned: ${formatBytes(fit.mirrorSize)} mirrored, ${formatBytes(fit.downloadSize)} to download, ${formatBytes(freeSpace)} free`,
+  );
+
+  if (fit.trimmed.length === 0) {
+    return fit;
+  }
+
+  const trimmedIds = fit.trimmed.map((app) => `${app.appId} (${app.arch})`);
+  if (config.disk?.on_exceed === "refuse") {
+    throw new Error(
+      `Planned sync does not fit the disk budget, nothing was pulled. Over budget: ${trimmedIds.join(", ")}`,
+    );
+  }
+
+  log.warn(
+    `⚠ Trimmed ${fit.trimmed.length} apps that do not fit the disk budget: ${trimmedIds.join(", ")}`,
+  );
+  return fit;
+}
@@ -1,69 +1,177 @@
-import fs from "fs";
-import zlib from "zlib";
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
 import path from "path";
-import { parseString } from "xml2js";
-
-const gzPath = path.join("/tmp", "appstream.xml.gz");
-const xmlPath = path.join("/tmp", "appstream.xml");
-
-const fetchAppstream = async (url) => {
-  // Check if cached XML file already exists
-  if (fs.existsSync(xmlPath)) {
-    console.log("Using cached XML file");
-    return new Promise((resolve, reject) => {
-      fs.readFile(xmlPath, "utf8", (err, data) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        parseString(data, (parseErr, result) => {
-          if (parseErr) {
-            reject(parseErr);
-            return;
-          }
-          resolve(result);
-        });
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+import config from "../utils/config.js";
+import { getStateDir } from "../utils/state.js";
+import { parseAppstreamGzip } from "./parseAppstream.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "appstream" });
+
+// Catalogs younger than this are used without asking the remote (seconds)
+const DEFAULT_MAX_AGE = 3600;
+
+function getCachePaths(remoteName, arch) {
+  const base = path.join(
+    getStateDir(),
+    "appstream",
+    `${remoteName || "default"}-${arch}`,
+  );
+  return { gzPath: `${base}.xml.gz`, metaPath: `${base}.json` };
+}
+
+async function readCacheMeta(metaPath) {
+  try {
+    return JSON.parse(await fs.readFile(metaPath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stream-parse a gzipped catalog file. A truncated or corrupted gzip or
+ * XML fails here instead of yielding a partial catalog.
+ */
+async function parseCatalog(gzPath, filter) {
+  try {
+    return await parseAppstreamGzip(createReadStream(gzPath), filter);
+  } catch (error) {
+    throw new Error(`Corrupted appstream catalog: ${error.message}`);
+  }
+}
+
+/**
+ * Parse the cached catalog, or null when it is missing or corrupted.
+ */
+async function parseCached(gzPath, filter) {
+  try {
+    await fs.access(gzPath);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    return await parseCatalog(gzPath, filter);
+  } catch (error) {
+    log.warn(`⚠ Discarding cached ${path.basename(gzPath)}: ${error.message}`);
+    await fs.rm(gzPath, { force: true });
+    return null;
+  }
+}
+
+/**
+ * Store the catalog validators, moving a freshly downloaded catalog into
+ * place first when given. Both go through temporary files so an
+ * interrupted run can't leave half a catalog.
+ */
+async function writeCache(gzPath, metaPath, downloadPath, meta) {
+  if (downloadPath) {
+    await fs.rename(downloadPath, gzPath);
+  }
+  await fs.writeFile(`${metaPath}.tmp`, JSON.stringify(meta, null, 2));
+  await fs.rename(`${metaPath}.tmp`, metaPath);
+}
+
+/**
+ * Download a remote's appstream catalog for one architecture, caching it
+ * under the state dir per remote and architecture. The catalog is parsed
+ * as a stream and only components accepted by `filter` are kept.
+ *
+ * A cached catalog is used as-is while younger than `appstream.cache_max_age`
+ * seconds, then revalidated with ETag / If-Modified-Since. With
+ * `appstream.offline` only the cache is used.
+ */
+const fetchAppstream = async (
+  url,
+  arch = "x86_64",
+  remoteName = "",
+  filter = () => true,
+) => {
+  const remoteLog = log.child({ remote: remoteName, arch });
+
+  const { gzPath, metaPath } = getCachePaths(remoteName, arch);
+  const maxAge = config.appstream?.cache_max_age ?? DEFAULT_MAX_AGE;
+  const storedMeta = await readCacheMeta(metaPath);
+  const meta = storedMeta?.url === url ? storedMeta : null;
+
+  if (config.appstream?.offline) {
+    const cached = meta && (await parseCached(gzPath, filter));
+    if (!cached) {
+      throw new Error(
+        `No cached appstream for ${remoteName} (${arch}) in offline mode`,
+      );
+    }
+    remoteLog.info(`Using cached XML file from ${meta.fetchedAt} (offline)`);
+    return cached;
+  }
+
+  const age = meta
+    ? (Date.now() - Date.parse(meta.fetchedAt)) / 1000
+    : Infinity;
+  if (age < maxAge) {
+    const cached = await parseCached(gzPath, filter);
+    if (cached) {
+      remoteLog.info("Using cached XML file");
+      return cached;
+    }
+  }
+
+  const headers = {};
+  if (meta?.etag) {
+    headers["If-None-Match"] = meta.etag;
+  }
+  if (meta?.lastModified) {
+    headers["If-Modified-Since"] = meta.lastModified;
+  }
+
+  let response = await fetch(url, { headers });
+
+  if (response.status === 304) {
+    const cached = await parseCached(gzPath, filter);
+    if (cached) {
+      remoteLog.info("Cached XML file is still current");
+      await writeCache(gzPath, metaPath, null, {
+        ...meta,
+        fetchedAt: new Date().toISOString(),
       });
-    });
+      return cached;
+    }
+    // The cached copy went bad; fetch the catalog unconditionally
+    response = await fetch(url);
   }
-  console.log("Downloading XML file");
 
-  // If not cached, download and process
-  const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to fetch: ${response.status}`);
   }
+  remoteLog.info("Downloading XML file");
 
-  const arrayBuffer = await response.arrayBuffer();
-  const buffer = Buffer.from(arrayBuffer);
-
-  await fs.promises.writeFile(gzPath, buffer);
-
-  return new Promise((resolve, reject) => {
-    const gunzip = zlib.createGunzip();
-    const readStream = fs.createReadStream(gzPath);
-    const writeStream = fs.createWriteStream(xmlPath);
-
-    readStream.pipe(gunzip).pipe(writeStream);
-
-    writeStream.on("finish", () => {
-      fs.readFile(xmlPath, "utf8", (err, data) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        parseString(data, (parseErr, result) => {
-          if (parseErr) {
-            reject(parseErr);
-            return;
-          }
-          resolve(result);
-        });
-      });
-    });
+  // Streamed to disk and validated before it replaces the cached catalog
+  const downloadPath = `${gzPath}.download`;
+  await fs.mkdir(path.dirname(gzPath), { recursive: true });
+  await pipeline(
+    Readable.fromWeb(response.body),
+    createWriteStream(downloadPath),
+  );
 
-    writeStream.on("error", reject);
+  let catalog;
+  try {
+    catalog = await parseCatalog(downloadPath, filter);
+  } catch (error) {
+    await fs.rm(downloadPath, { force: true });
+    throw error;
+  }
+
+  await writeCache(gzPath, metaPath, downloadPath, {
+    url,
+    etag: response.headers.get("etag"),
+    lastModified: response.headers.get("last-modified"),
+    fetchedAt: new Date().toISOString(),
   });
+
+  return catalog;
 };
 
 // Export both as default and named export for compatibility
@@ -0,0 +1,280 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import config from "../utils/config.js";
+import { queueRef } from "./syncRef.js";
+import { globToRegExp } from "./selectComponents.js";
+import { pinRuntimeRef } from "./branches.js";
+import { recordRef } from "../utils/state.js";
+import { getRefOwner } from "./remotes.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "dependencies" });
+
+const execAsync = promisify(exec);
+
+// Refs available on each remote, cached for the duration of a run
+const remoteRefsCache = new Map();
+
+/**
+ * Parse a Flatpak `metadata` keyfile into `{ group: { key: value } }`.
+ */
+export function parseMetadata(text) {
+  const groups = {};
+  let current = null;
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const groupMatch = line.match(/^\[(.+)\]$/);
+    if (groupMatch) {
+      current = groupMatch[1];
+      groups[current] = groups[current] || {};
+      continue;
+    }
+
+    const separator = line.indexOf("=");
+    if (current && separator > 0) {
+      const key = line.slice(0, separator).trim();
+      groups[current][key] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Read the metadata file from the commit a local ref points at.
+ */
+export async function readRefMetadata(ref) {
+  const repoPath = config.repo_name;
+  const { stdout } = await execAsync(
+    `ostree cat --repo=${repoPath} ${ref} /metadata`,
+  );
+  return parseMetadata(stdout);
+}
+
+/**
+ * List the refs a remote advertises in its summary. Apps resolve their
+ * dependencies concurrently, so the listing in flight is shared.
+ */
+export function listRemoteRefs(remoteName) {
+  if (!remoteRefsCache.has(remoteName)) {
+    remoteRefsCache.set(remoteName, readRemoteRefs(remoteName));
+  }
+  return remoteRefsCache.get(remoteName);
+}
+
+async function readRemoteRefs(remoteName) {
+  const repoPath = config.repo_name;
+  const { stdout } = await execAsync(
+    `ostree remote refs --repo=${repoPath} ${remoteName}`,
+    { maxBuffer: 64 * 1024 * 1024 },
+  );
+  return new Set(
+    stdout
+      .trim()
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => line.replace(`${remoteName}:`, "")),
+  );
+}
+
+function isExcluded(name) {
+  const patterns = config.dependencies?.exclude || [];
+  return patterns.some((pattern) => globToRegExp(pattern).test(name));
+}
+
+/**
+ * Work out the extension refs an `[Extension …]` group asks for.
+ */
+function getExtensionRefs(name, extension, arch, branch, remoteRefs) {
+  // Extensions that are never downloaded automatically are optional
+  if (extension["no-autodownload"] === "true" && !extension["download-if"]) {
+    return [];
+  }
+
+  const versions = extension.versions
+    ? extension.versions.split(";").filter(Boolean)
+    : [extension.version || branch];
+
+  const refs = [];
+  for (const version of versions) {
+    for (const remoteRef of remoteRefs) {
+      const [kind, refName, refArch, refBranch] = remoteRef.split("/");
+      if (kind !== "runtime" || refArch !== arch || refBranch !== version) {
+        continue;
+      }
+
+      const matches =
+        refName === name ||
+        (extension.subdirectories === "true" && refName.startsWith(`${name}.`));
+      if (matches && !isExcluded(refName)) {
+        refs.push(remoteRef);
+      }
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Runtime an app runs on, as `<name>/<arch>/<branch>` after branch pinning.
+ */
+export function getRuntime(remote, metadata) {
+  const runtime = metadata.Application?.runtime;
+  return runtime ? pinRuntimeRef(remote, runtime) : null;
+}
+
+/**
+ * Collect the runtime, base app and extension refs a ref depends on.
+ */
+export function getDependencyRefs(remote, metadata, ref, remoteRefs) {
+  const [, , arch, branch] = ref.split("/");
+  const main = metadata.Application || metadata.Runtime || {};
+  const dependencies = [];
+
+  if (ref.startsWith("app/") && getRuntime(remote, metadata)) {
+    dependencies.push(`runtime/${getRuntime(remote, metadata)}`);
+  }
+
+  if (main.sdk && config.dependencies?.sdk) {
+    dependencies.push(pinRuntimeRef(remote, `runtime/${main.sdk}`));
+  }
+
+  if (main.base) {
+    const base = main.base.includes("/")
+      ? main.base
+      : `${main.base}/${arch}/${main["base-version"] || branch}`;
+    dependencies.push(`app/${base}`);
+  }
+
+  if (config.dependencies?.extensions !== false) {
+    for (const [group, values] of Object.entries(metadata)) {
+      if (!group.startsWith("Extension ")) {
+        continue;
+      }
+      const name = group.slice("Extension ".length);
+      dependencies.push(
+        ...getExtensionRefs(name, values, arch, branch, remoteRefs),
+      );
+    }
+  }
+
+  return [
+    ...new Set(dependencies.map((dep) => pinRuntimeRef(remote, dep))),
+  ].filter((dep) => dep !== ref);
+}
+
+/**
+ * Keep the dependencies recorded for a ref on an earlier run, recursively,
+ * when they can't be worked out now. Without a record the run is marked
+ * incomplete, so nothing is pruned as unselected.
+ */
+function holdRecordedDependencies(ref, run, refLog) {
+  const recorded = run.state.refs[ref]?.dependencies;
+  if (!recorded) {
+    refLog.warn(`  ⚠ No recorded dependencies for ${ref}, keeping all refs`);
+    run.incomplete = true;
+    return;
+  }
+
+  for (const dependency of recorded) {
+    if (!run.heldRefs.has(dependency)) {
+      run.heldRefs.add(dependency);
+      holdRecordedDependencies(dependency, run, refLog);
+    }
+  }
+}
+
+/**
+ * Pull everything a freshly fetched ref depends on, recursively.
+ * The run's `pulledRefs` set makes sure every ref is resolved only once.
+ * Resolves with the fetched and failed refs plus the pinned runtime.
+ *
+ * `remote` is the remote `ref` came from, whose ref list is searched for
+ * extensions; runtime branches are pinned with the settings of
+ * `pinRemote`, the remote of the app that started the resolution.
+ */
+export async function fetchDependencies(remote, ref, run, pinRemote = remote) {
+  const refLog = log.child({ remote: remote.name, ref });
+
+  const remoteName = remote.name;
+  const result = { fetched: [], failed: [], runtime: null };
+
+  let metadata;
+  try {
+    metadata = await readRefMetadata(ref);
+  } catch (error) {
+    refLog.warn(`  ⚠ Could not read metadata for ${ref}: ${error.message}`);
+    holdRecordedDependencies(ref, run, refLog);
+    return result;
+  }
+  result.runtime = getRuntime(pinRemote, metadata);
+
+  // Clients install the runtime the metadata names, not the pinned one
+  const runtime = metadata.Application?.runtime;
+  if (runtime && result.runtime !== runtime) {
+    refLog.warn(
+      `  ⚠ ${ref} runs on ${runtime} but the pin mirrors ${result.runtime}, clients will fail to install it`,
+    );
+  }
+
+  let remoteRefs;
+  try {
+    remoteRefs = await listRemoteRefs(remoteName);
+  } catch (error) {
+    refLog.warn(
+      `  ⚠ Could not list refs for ${remoteName}, extensions skipped: ${error.message}`,
+    );
+  }
+
+  const allDependencies = getDependencyRefs(
+    pinRemote,
+    metadata,
+    ref,
+    remoteRefs || new Set(),
+  );
+
+  if (remoteRefs) {
+    // Remembered so `verify` can check the repository stays installable
+    recordRef(run.state, ref, { dependencies: allDependencies });
+  } else {
+    // The extensions found last time stay until they can be listed again
+    holdRecordedDependencies(ref, run, refLog);
+  }
+
+  const dependencies = allDependencies.filter(
+    (dependency) => !run.pulledRefs.has(dependency),
+  );
+  dependencies.forEach((dependency) => run.pulledRefs.add(dependency));
+
+  // Independent dependencies are pulled in parallel through the run's queue
+  await Promise.all(
+    dependencies.map(async (dependency) => {
+      // Runtimes shared between remotes come from the highest-priority one
+      const owner = await getRefOwner(dependency, remote);
+      refLog.info(`  → Fetching dependency: ${dependency} (${owner.name})`);
+      try {
+        await queueRef(owner, dependency, run);
+        refLog.info(`  ✓ Dependency fetched: ${dependency}`);
+        result.fetched.push(dependency);
+      } catch (error) {
+        refLog.error(
+          `  ✗ Failed to fetch dependency ${dependency}: ${error.message}`,
+        );
+        result.failed.push(dependency);
+        return;
+      }
+
+      // Extensions of the dependency are listed in the remote it came from
+      const nested = await fetchDependencies(owner, dependency, run, pinRemote);
+      result.fetched.push(...nested.fetched);
+      result.failed.push(...nested.failed);
+    }),
+  );
+
+  return result;
+}
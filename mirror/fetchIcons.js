@@ -0,0 +1,150 @@
+import { exec, execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import path from "path";
+
+import config from "../utils/config.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "icons" });
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Icon names come from the unverified upstream catalog: only plain file
+// names are accepted, never paths or anything a shell would interpret
+const ICON_NAME = /^[A-Za-z0-9_+-][A-Za-z0-9._+-]*$/;
+
+// Icon sizes clients look for in a Flatpak repository's appstream
+export const ICON_SIZES = ["64x64", "128x128"];
+
+// Upstream appstream commits pulled during this run, per remote and arch
+const pulledAppstream = new Map();
+
+function getIconsDir(arch) {
+  return path.join(config.repo_name, "appstream", arch, "active", "icons");
+}
+
+/**
+ * The cached icons of a component, as `{ size, name, icon }`. Icons whose
+ * name is not a plain file name are left out.
+ */
+function getCachedIcons(component) {
+  return (component.icon || [])
+    .filter((icon) => icon.$?.type === "cached" && typeof icon._ === "string")
+    .filter((icon) => !icon.$.scale || icon.$.scale === "1")
+    .map((icon) => ({
+      size: `${icon.$.width}x${icon.$.height}`,
+      name: icon._.trim(),
+      icon,
+    }))
+    .filter(({ name }) => ICON_NAME.test(name) && !name.includes(".."));
+}
+
+/**
+ * Pull the icon directories of a remote's `appstream2/<arch>` commit. It
+ * lands as the remote-tracking ref `<remote>:appstream2/<arch>`, so it does
+ * not clash with the appstream we commit ourselves.
+ */
+async function pullUpstreamIcons(remote, arch) {
+  const key = `${remote.name}/${arch}`;
+  if (!pulledAppstream.has(key)) {
+    const repoPath = config.repo_name;
+    const subpaths = ICON_SIZES.map((size) => `--subpath=/icons/${size}`);
+    pulledAppstream.set(
+      key,
+      execAsync(
+        `ostree pull --repo=${repoPath} --depth=0 ${subpaths.join(" ")} ${remote.name} appstream2/${arch}`,
+        { maxBuffer: 64 * 1024 * 1024 },
+      ).then(() => `${remote.name}:appstream2/${arch}`),
+    );
+  }
+  return pulledAppstream.get(key);
+}
+
+/**
+ * Copy the 64x64 and 128x128 icons of mirrored components from the
+ * remote's appstream into our active appstream tree. Resolves with the
+ * components, keeping only the cached icons that are now available.
+ */
+export async function fetchIcons(remote, arch, components) {
+  const remoteLog = log.child({ remote: remote.name, arch });
+
+  const repoPath = config.repo_name;
+
+  let upstreamRef;
+  try {
+    upstreamRef = await pullUpstreamIcons(remote, arch);
+  } catch (error) {
+    remoteLog.warn(
+      `⚠ Could not fetch ${arch} icons from ${remote.name}: ${error.message}`,
+    );
+    return components;
+  }
+
+  let copied = 0;
+  const result = [];
+
+  for (const component of components) {
+    const available = [];
+
+    for (const { size, name, icon } of getCachedIcons(component)) {
+      if (!ICON_SIZES.includes(size)) {
+        continue;
+      }
+
+      const target = path.join(getIconsDir(arch), size, name);
+      try {
+        const { stdout } = await execFileAsync(
+          "ostree",
+          ["cat", `--repo=${repoPath}`, upstreamRef, `/icons/${size}/${name}`],
+          { encoding: "buffer", maxBuffer: 16 * 1024 * 1024 },
+        );
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, stdout);
+        available.push(icon);
+        copied++;
+      } catch (error) {
+        remoteLog.warn(`  ⚠ Icon ${size}/${name} not found upstream`);
+      }
+    }
+
+    // Cached icons we could not mirror would show up blank in clients
+    const icons = (component.icon || []).filter(
+      (icon) => icon.$?.type !== "cached" || available.includes(icon),
+    );
+    result.push({ ...component, icon: icons });
+  }
+
+  remoteLog.info(`✓ Mirrored ${copied} ${arch} icons from ${remote.name}`);
+  return result;
+}
+
+/**
+ * Delete icons no published component refers to anymore.
+ */
+export async function removeStaleIcons(arch, components) {
+  const referenced = new Set(
+    components.flatMap((component) =>
+      getCachedIcons(component).map(({ size, name }) => `${size}/${name}`),
+    ),
+  );
+
+  for (const size of ICON_SIZES) {
+    const sizeDir = path.join(getIconsDir(arch), size);
+    let files;
+    try {
+      files = await fs.readdir(sizeDir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const file of files) {
+      if (!referenced.has(`${size}/${file}`)) {
+        await fs.rm(path.join(sizeDir, file), { force: true });
+      }
+    }
+  }
+}
+
+export default fetchIcons;
@@ -3,9 +3,22 @@ import { promisify } from "util";
 import fs from "fs/promises";
 import path from "path";
 import config from "../utils/config.js";
+import { createLock } from "../utils/queue.js";
+import { signCommit } from "../ostree/ostreeManager.js";
+import { PullError, classifyError, isTransient } from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "pull" });
 
 const execAsync = promisify(exec);
 
+// Retries after a failed pull, and the waits between them (seconds)
+const DEFAULT_RETRY = { retries: 3, backoff: 5, max_backoff: 60 };
+
+// Pulls may run in parallel, but ref creation and mirror-ref cleanup touch
+// shared files under refs/ and must happen one at a time
+const refWriteLock = createLock();
+
 /**
  * Recursively find files in a directory that match a predicate.
  */
@@ -63,6 +76,8 @@ async function findMirroredRefFile(repoPath, app) {
  * Attempt to clean up mirrored refs for a given app.
  */
 async function cleanupMirroredRefs(repoPath, repo, app) {
+  const refLog = log.child({ remote: repo, ref: app });
+
   // List of possible mirrored ref paths
   const possibleMirrorPaths = [
     // With collection ID (e.g., org.flathub.Stable)
@@ -79,7 +94,7 @@ async function cleanupMirroredRefs(repoPath, repo, app) {
       const fullPath = path.join(repoPath, mirrorPath);
       try {
         await fs.unlink(fullPath);
-        console.log(`  ✓ Cleaned mirrored ref: ${mirrorPath}`);
+        refLog.debug(`  ✓ Cleaned mirrored ref: ${mirrorPath}`);
       } catch (error) {
         // Ignore errors if file doesn't exist
       }
@@ -94,21 +109,69 @@ async function cleanupMirroredRefs(repoPath, repo, app) {
   }
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `ostree pull`, retrying network failures with exponential backoff.
+ * Objects a failed attempt already fetched stay in the repository, so
+ * each retry only downloads what is still missing.
+ */
+async function pullWithRetry(pullCommand, repo, app, refLog) {
+  const { retries, backoff, max_backoff } = {
+    ...DEFAULT_RETRY,
+    ...config.retry,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await execAsync(pullCommand);
+    } catch (error) {
+      const errorClass = classifyError(error);
+
+      if (!isTransient(errorClass) || attempt > retries) {
+        const tries = attempt > 1 ? ` after ${attempt} attempts` : "";
+        const message =
+          errorClass === "gpg"
+            ? `GPG verification failed for ${app} from ${repo}: ${error.message}`
+            : `Failed to run ostree pull${tries}: ${error.message}`;
+        throw new PullError(message, { errorClass, attempts: attempt });
+      }
+
+      // ostree's own error is the last line of the command's output
+      const reason = error.message.trim().split("\n").pop();
+      const delay = Math.min(backoff * 2 ** (attempt - 1), max_backoff);
+      refLog.warn(
+        `  ⚠ Pull failed (${reason}), retry ${attempt}/${retries} in ${delay}s`,
+        { errorClass },
+      );
+      await sleep(delay * 1000);
+    }
+  }
+}
+
 /**
  * Fetch a package from a remote repository and create a local ref.
+ * Failed pulls reject with a PullError carrying the class of the failure.
  */
 export async function fetchPackage(repo, app) {
+  const refLog = log.child({ remote: repo, ref: app });
+
   const repoPath = config.repo_name;
 
   // Use --mirror mode to pull the ref
   const pullCommand = `ostree pull --repo=${repoPath} --mirror ${repo} ${app}`;
 
-  try {
-    const { stdout, stderr } = await execAsync(pullCommand);
-    if (stderr && !stderr.includes("Receiving")) {
-      console.warn(`Pull stderr: ${stderr}`);
-    }
+  const { stdout, stderr } = await pullWithRetry(
+    pullCommand,
+    repo,
+    app,
+    refLog,
+  );
+  if (stderr && !stderr.includes("Receiving")) {
+    refLog.warn(`Pull stderr: ${stderr}`);
+  }
 
+  return refWriteLock(async () => {
     const localRef = app;
     let commit = null;
 
@@ -116,7 +179,7 @@ export async function fetchPackage(repo, app) {
     const mirroredRefPath = await findMirroredRefFile(repoPath, app);
     if (mirroredRefPath) {
       commit = (await fs.readFile(mirroredRefPath, "utf8")).trim();
-      console.log(
+      refLog.debug(
         `  Found mirrored ref at ${path.relative(repoPath, mirroredRefPath)}: ${commit.substring(0, 8)}`,
       );
     } else {
@@ -134,7 +197,7 @@ export async function fetchPackage(repo, app) {
           const stats = await fs.stat(fullPath);
           if (stats.isFile()) {
             commit = (await fs.readFile(fullPath, "utf8")).trim();
-            console.log(
+            refLog.debug(
               `  Found mirrored ref at ${knownPath}: ${commit.substring(0, 8)}`,
             );
             break;
@@ -153,7 +216,7 @@ export async function fetchPackage(repo, app) {
             `ostree rev-parse --repo=${repoPath} ${refSpec}`,
           );
           commit = commitHash.trim();
-          console.log(
+          refLog.debug(
             `  Found ref via rev-parse: ${refSpec} → ${commit.substring(0, 8)}`,
           );
           break;
@@ -164,7 +227,7 @@ export async function fetchPackage(repo, app) {
     }
 
     if (!commit) {
-      console.warn(`  ⚠ Could not find commit for ${app} after pull`);
+      refLog.warn(`  ⚠ Could not find commit for ${app} after pull`);
       return stdout;
     }
 
@@ -172,15 +235,18 @@ export async function fetchPackage(repo, app) {
     await execAsync(
       `ostree refs --repo=${repoPath} --create=${localRef} ${commit} --force`,
     );
-    console.log(
+    refLog.info(
       `  ✓ Created/updated local ref: ${localRef} → ${commit.substring(0, 8)}`,
     );
 
+    // Add our signature so clients can verify against our key
+    if (await signCommit(commit)) {
+      refLog.info(`  ✓ Signed ${commit.substring(0, 8)}`);
+    }
+
     // Clean up mirrored refs
     await cleanupMirroredRefs(repoPath, repo, app);
 
     return stdout;
-  } catch (error) {
-    throw new Error(`Failed to run ostree pull: ${error.message}`);
-  }
+  });
 }
@@ -0,0 +1,90 @@
+import { parseGVariant } from "../utils/gvariant.js";
+
+// OSTree summary: (a(s(taya{sv}))a{sv}) — refs with commit info, then metadata
+const SUMMARY_TYPE = "(a(s(taya{sv}))a{sv})";
+
+// Parsed summaries per remote, cached for the duration of a run
+const summaryCache = new Map();
+
+/**
+ * Parse a raw OSTree summary file into a ref map and its metadata.
+ */
+export function parseSummary(buffer) {
+  const [refList, metadata] = parseGVariant(SUMMARY_TYPE, buffer);
+  const refs = new Map();
+
+  for (const [ref, [size, checksum, refMetadata]] of refList) {
+    refs.set(ref, {
+      commit: checksum.toString("hex"),
+      size,
+      metadata: refMetadata,
+    });
+  }
+
+  return { refs, metadata };
+}
+
+/**
+ * Download and parse the summary a remote publishes.
+ */
+export async function fetchSummary(remote) {
+  if (summaryCache.has(remote.name)) {
+    return summaryCache.get(remote.name);
+  }
+
+  const url = `${remote.url.replace(/\/$/, "")}/summary`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch summary: ${response.status}`);
+  }
+
+  const summary = parseSummary(Buffer.from(await response.arrayBuffer()));
+  summaryCache.set(remote.name, summary);
+  return summary;
+}
+
+/**
+ * Commit checksum a remote currently advertises for a ref, or null.
+ */
+export async function getUpstreamCommit(remote, ref) {
+  const summary = await fetchSummary(remote);
+  return summary.refs.get(ref)?.commit || null;
+}
+
+/**
+ * Flatpak writes sizes as big-endian 64-bit integers, which the
+ * little-endian GVariant parser reads byte-swapped.
+ */
+function fromBigEndian(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return Number(buffer.readBigUInt64BE());
+}
+
+/**
+ * Sizes a remote advertises for a ref, in bytes, with the ref's Flatpak
+ * metadata when the summary carries it. Null when the summary has no size
+ * information for the ref.
+ */
+export async function getRefSizes(remote, ref) {
+  const summary = await fetchSummary(remote);
+
+  // Newer summaries keep xa.data per ref; older ones an xa.cache map, and
+  // xa.sizes for refs whose metadata is left out
+  const data =
+    summary.refs.get(ref)?.metadata?.["xa.data"] ||
+    summary.metadata["xa.cache"]?.[ref] ||
+    summary.metadata["xa.sizes"]?.[ref];
+  if (!data) {
+    return null;
+  }
+
+  const [installedSize, downloadSize, metadata = null] = data;
+  return {
+    installedSize: fromBigEndian(installedSize),
+    downloadSize: fromBigEndian(downloadSize),
+    metadata,
+  };
+}
+
+export default fetchSummary;
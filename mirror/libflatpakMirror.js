@@ -2,11 +2,11 @@ import config from "../utils/config.js";
 import * as fs from "fs/promises";
 import * as path from "path";
 import * as libflatpak from "libflatpak";
-import { parseString } from "xml2js";
-import { createGunzip } from "zlib";
-import { pipeline } from "stream/promises";
-import { createWriteStream, createReadStream } from "fs";
 import fetch from "node-fetch";
+import { parseAppstreamGzip } from "./parseAppstream.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "libflatpak" });
 
 /**
  * libflatpak-only mirroring tool with workarounds for early binding issues
@@ -16,40 +16,40 @@ import fetch from "node-fetch";
  */
 
 export async function mirrorFlatpakLibOnly() {
-  console.log("=== libflatpak Mirror Tool (Pure Bindings) ===");
-  console.log(`Started at: ${new Date().toISOString()}\n`);
+  log.info("=== libflatpak Mirror Tool (Pure Bindings) ===");
+  log.info(`Started at: ${new Date().toISOString()}\n`);
 
   // Load configuration
-  console.log("Loading configuration...");
+  log.info("Loading configuration...");
   const repoPath = path.resolve(config.repo_path);
   const appstreamUrl = config.appstream_url;
   const architecture = config.architecture;
   const remoteName = config.remote_name;
   const remoteUrl = config.remote_url;
 
-  console.log(`Repository path: ${repoPath}`);
-  console.log(`Architecture: ${architecture}`);
-  console.log(`Remote: ${remoteName} (${remoteUrl})`);
-  console.log(`AppStream URL: ${appstreamUrl}\n`);
+  log.info(`Repository path: ${repoPath}`);
+  log.info(`Architecture: ${architecture}`);
+  log.info(`Remote: ${remoteName} (${remoteUrl})`);
+  log.info(`AppStream URL: ${appstreamUrl}\n`);
 
   try {
     // Set FLATPAK_USER_DIR to use custom repository location
     // This tells libflatpak to use our custom repository
     process.env.FLATPAK_USER_DIR = repoPath;
-    console.log(`Set FLATPAK_USER_DIR=${repoPath}`);
+    log.info(`Set FLATPAK_USER_DIR=${repoPath}`);
 
     // Step 1: Ensure repository directory exists and is initialized
-    console.log("\nStep 1: Preparing repository directory...");
+    log.info("\nStep 1: Preparing repository directory...");
     await fs.mkdir(repoPath, { recursive: true });
 
     // Initialize OSTree repository structure if needed
-    console.log("Initializing OSTree repository structure...");
+    log.info("Initializing OSTree repository structure...");
     await initializeRepository(repoPath);
 
-    console.log(`✓ Repository directory ready: ${repoPath}\n`);
+    log.info(`✓ Repository directory ready: ${repoPath}\n`);
 
     // Step 2: Get system installations
-    console.log("Step 2: Getting system installations...");
+    log.info("Step 2: Getting system installations...");
     const installations = libflatpak.getSystemInstallations();
 
     if (!installations || installations.length === 0) {
@@ -58,29 +58,29 @@ export async function mirrorFlatpakLibOnly() {
       );
     }
 
-    console.log(`✓ Found ${installations.length} installation(s)`);
+    log.info(`✓ Found ${installations.length} installation(s)`);
 
     // Use the first installation (should be affected by FLATPAK_USER_DIR)
     const installation = installations[0];
-    console.log(`  Using installation: ${installation.getId()}`);
-    console.log(`  Path: ${installation.getPath()}`);
-    console.log(`  Is user installation: ${installation.getIsUser()}\n`);
+    log.info(`  Using installation: ${installation.getId()}`);
+    log.info(`  Path: ${installation.getPath()}`);
+    log.info(`  Is user installation: ${installation.getIsUser()}\n`);
 
     // Step 3: Check for existing remotes
-    console.log("Step 3: Checking for existing remotes...");
+    log.info("Step 3: Checking for existing remotes...");
     const remotes = installation.listRemotes();
-    console.log(`✓ Found ${remotes.length} remote(s)`);
+    log.info(`✓ Found ${remotes.length} remote(s)`);
 
     // Look for our target remote
     let targetRemote = remotes.find((r) => r.getName() === remoteName);
 
     if (targetRemote) {
-      console.log(`✓ Remote '${remoteName}' already exists`);
-      console.log(`  URL: ${targetRemote.getUrl()}`);
-      console.log(`  Title: ${targetRemote.getTitle()}`);
+      log.info(`✓ Remote '${remoteName}' already exists`);
+      log.info(`  URL: ${targetRemote.getUrl()}`);
+      log.info(`  Title: ${targetRemote.getTitle()}`);
     } else {
-      console.log(`⚠ Remote '${remoteName}' not found in installation`);
-      console.log(`  Attempting to create remote using libflatpak bindings...`);
+      log.warn(`⚠ Remote '${remoteName}' not found in installation`);
+      log.info(`  Attempting to create remote using libflatpak bindings...`);
 
       try {
         // NOTE: This currently fails with "Expected external object for parameter 'data'"
@@ -98,19 +98,17 @@ export async function mirrorFlatpakLibOnly() {
         // Try to add remote to installation
         const added = installation.addRemote(targetRemote, false, null);
         if (added) {
-          console.log(
-            `✓ Remote '${remoteName}' created and added successfully`,
-          );
+          log.info(`✓ Remote '${remoteName}' created and added successfully`);
         } else {
-          console.log(`⚠ Failed to add remote (may already exist)`);
+          log.warn(`⚠ Failed to add remote (may already exist)`);
         }
       } catch (error) {
-        console.log(`✗ Failed to create remote via bindings: ${error.message}`);
-        console.log(`  This is a known issue with early libflatpak bindings.`);
-        console.log(
+        log.error(`✗ Failed to create remote via bindings: ${error.message}`);
+        log.error(`  This is a known issue with early libflatpak bindings.`);
+        log.error(
           `  Workaround: Ensure remote '${remoteName}' exists in system installation.`,
         );
-        console.log(
+        log.error(
           `  You can add it manually: flatpak remote-add --user --no-gpg-verify ${remoteName} ${remoteUrl}`,
         );
         process.exit(1);
@@ -118,32 +116,30 @@ export async function mirrorFlatpakLibOnly() {
     }
 
     // Step 4: Update remote metadata if needed
-    console.log("\nStep 4: Updating remote metadata...");
+    log.info("\nStep 4: Updating remote metadata...");
     try {
       const updated = installation.updateRemoteSync(remoteName, null);
       if (updated) {
-        console.log(`✓ Remote metadata updated for '${remoteName}'`);
+        log.info(`✓ Remote metadata updated for '${remoteName}'`);
       } else {
-        console.log(
+        log.warn(
           `⚠ Remote metadata update returned false (may already be current)`,
         );
       }
     } catch (error) {
-      console.log(`⚠ Failed to update remote metadata: ${error.message}`);
-      console.log(`  Continuing with existing metadata...`);
+      log.warn(`⚠ Failed to update remote metadata: ${error.message}`);
+      log.warn(`  Continuing with existing metadata...`);
     }
 
     // Step 5: List available packages
-    console.log("\nStep 5: Fetching list of available packages...");
+    log.info("\nStep 5: Fetching list of available packages...");
     let remoteRefs;
     try {
       remoteRefs = installation.listRemoteRefsSync(remoteName, null);
-      console.log(
-        `✓ Found ${remoteRefs.length} remote refs from '${remoteName}'`,
-      );
+      log.info(`✓ Found ${remoteRefs.length} remote refs from '${remoteName}'`);
     } catch (error) {
-      console.log(`✗ Failed to list remote refs: ${error.message}`);
-      console.log(
+      log.error(`✗ Failed to list remote refs: ${error.message}`);
+      log.error(
         `  This may indicate the remote needs updating or has no metadata.`,
       );
       process.exit(1);
@@ -157,28 +153,29 @@ export async function mirrorFlatpakLibOnly() {
       );
     });
 
-    console.log(`✓ Found ${packages.length} applications for ${architecture}`);
+    log.info(`✓ Found ${packages.length} applications for ${architecture}`);
 
     // Apply package limit if specified
     let packagesToMirror = packages;
     if (config.max_packages > 0) {
       packagesToMirror = packages.slice(0, config.max_packages);
-      console.log(
-        `  Limiting to ${config.max_packages} packages for testing\n`,
-      );
+      log.info(`  Limiting to ${config.max_packages} packages for testing\n`);
     } else {
-      console.log(`  Will attempt to mirror all ${packages.length} packages\n`);
+      log.info(`  Will attempt to mirror all ${packages.length} packages\n`);
     }
 
     // Step 6: Download AppStream metadata for package information
-    console.log("Step 6: Downloading AppStream metadata...");
-    const appstreamData = await downloadAppStreamData(appstreamUrl);
-    console.log(
+    log.info("Step 6: Downloading AppStream metadata...");
+    const appstreamData = await downloadAppStreamData(
+      appstreamUrl,
+      new Set(packagesToMirror.map((pkg) => pkg.id)),
+    );
+    log.info(
       `✓ Downloaded AppStream data (${appstreamData.length} components)\n`,
     );
 
     // Step 7: Mirror packages using libflatpak transactions
-    console.log("Step 7: Mirroring packages using libflatpak transactions...");
+    log.info("Step 7: Mirroring packages using libflatpak transactions...");
     const results = await mirrorPackagesLibOnly(
       installation,
       packagesToMirror,
@@ -188,63 +185,61 @@ export async function mirrorFlatpakLibOnly() {
       remoteUrl,
     );
 
-    console.log("\n=== Mirroring Summary ===");
-    console.log(`Total packages available: ${packages.length}`);
-    console.log(`Packages attempted: ${packagesToMirror.length}`);
-    console.log(`Successfully processed: ${results.success}`);
-    console.log(`Failed: ${results.failed}`);
-    console.log(
+    log.info("\n=== Mirroring Summary ===");
+    log.info(`Total packages available: ${packages.length}`);
+    log.info(`Packages attempted: ${packagesToMirror.length}`);
+    log.info(`Successfully processed: ${results.success}`);
+    log.info(`Failed: ${results.failed}`);
+    log.info(
       `Skipped (not attempted due to binding issues): ${results.skipped}`,
     );
 
     if (results.failures.length > 0) {
-      console.log("\nFailed packages:");
+      log.info("\nFailed packages:");
       results.failures.forEach((failure) => {
-        console.log(`  - ${failure.ref}: ${failure.error}`);
+        log.info(`  - ${failure.ref}: ${failure.error}`);
       });
     }
 
     if (results.skipped > 0) {
-      console.log(
+      log.info(
         "\n⚠ Note: Some packages were not attempted due to libflatpak binding limitations.",
       );
-      console.log(
+      log.info(
         "  The bindings are in early development and some functions may not work correctly.",
       );
-      console.log(
+      log.info(
         "  Please report these issues to the libflatpak package maintainer.",
       );
     }
 
-    console.log("\n=== Repository Information ===");
-    console.log(`Repository location: ${repoPath}`);
-    console.log(`Finished at: ${new Date().toISOString()}`);
+    log.info("\n=== Repository Information ===");
+    log.info(`Repository location: ${repoPath}`);
+    log.info(`Finished at: ${new Date().toISOString()}`);
 
     // Provide instructions for using the repository
-    console.log("\n=== Usage Instructions ===");
-    console.log("To use this repository as a Flatpak remote:");
-    console.log(
+    log.info("\n=== Usage Instructions ===");
+    log.info("To use this repository as a Flatpak remote:");
+    log.info(
       `  1. flatpak remote-add --user --no-gpg-verify usrpkg file://${repoPath}`,
     );
-    console.log("  2. flatpak install --user usrpkg org.example.App");
-    console.log("\nNote: If packages failed to mirror, you may need to:");
-    console.log("  - Check libflatpak binding issues");
-    console.log("  - Ensure you have sufficient disk space");
-    console.log("  - Check network connectivity");
+    log.info("  2. flatpak install --user usrpkg org.example.App");
+    log.info("\nNote: If packages failed to mirror, you may need to:");
+    log.info("  - Check libflatpak binding issues");
+    log.info("  - Ensure you have sufficient disk space");
+    log.info("  - Check network connectivity");
   } catch (error) {
-    console.error("\n=== FATAL ERROR ===");
-    console.error(`Mirroring failed: ${error.message}`);
-    console.error("\n=== Troubleshooting ===");
-    console.error("Common issues with libflatpak bindings:");
-    console.error(
-      '1. Remote.create() may fail with "Expected external object"',
-    );
-    console.error("2. Transaction.create() may fail with similar errors");
-    console.error("3. Some methods may expect different parameter types");
-    console.error("\nWorkarounds:");
-    console.error("- Ensure the remote exists in the system installation");
-    console.error("- Use FLATPAK_USER_DIR to point to existing repository");
-    console.error("- Report binding issues to libflatpak package maintainer");
+    log.error("\n=== FATAL ERROR ===");
+    log.error(`Mirroring failed: ${error.message}`);
+    log.error("\n=== Troubleshooting ===");
+    log.error("Common issues with libflatpak bindings:");
+    log.error('1. Remote.create() may fail with "Expected external object"');
+    log.error("2. Transaction.create() may fail with similar errors");
+    log.error("3. Some methods may expect different parameter types");
+    log.error("\nWorkarounds:");
+    log.error("- Ensure the remote exists in the system installation");
+    log.error("- Use FLATPAK_USER_DIR to point to existing repository");
+    log.error("- Report binding issues to libflatpak package maintainer");
     process.exit(1);
   }
 }
@@ -270,7 +265,7 @@ async function mirrorPackagesLibOnly(
 
   const totalPackages = packages.length;
 
-  console.log(`Attempting to mirror ${totalPackages} packages...\n`);
+  log.info(`Attempting to mirror ${totalPackages} packages...\n`);
 
   // Create a map of AppStream data for quick lookup
   const appstreamMap = {};
@@ -292,9 +287,9 @@ async function mirrorPackagesLibOnly(
     const pkgSummary =
       appstreamInfo?.summary?.[0]?._ || appstreamInfo?.summary?.[0] || "";
 
-    console.log(`[${packageNumber}/${totalPackages}] ${pkgName}`);
+    log.info(`[${packageNumber}/${totalPackages}] ${pkgName}`);
     if (pkgSummary) {
-      console.log(`   ${pkgSummary}`);
+      log.info(`   ${pkgSummary}`);
     }
 
     try {
@@ -316,7 +311,7 @@ async function mirrorPackagesLibOnly(
         // Use addInstall with remote name and ref string
         added = transaction.addInstall(remoteName, refString);
         if (!added) {
-          console.log(`   ⚠ addInstall failed, trying flatpakref approach...`);
+          log.warn(`   ⚠ addInstall failed, trying flatpakref approach...`);
         }
       }
 
@@ -350,7 +345,7 @@ GpgVerify=false
       const success = transaction.run(null);
 
       if (success) {
-        console.log(`   ✓ Successfully downloaded to repository cache`);
+        log.info(`   ✓ Successfully downloaded to repository cache`);
         results.success++;
       } else {
         throw new Error("Transaction run failed (returned false)");
@@ -361,8 +356,8 @@ GpgVerify=false
         error.message.includes("Expected external object") ||
         error.message.includes("Expected external object or null")
       ) {
-        console.log(`   ✗ Known libflatpak binding issue: ${error.message}`);
-        console.log(
+        log.error(`   ✗ Known libflatpak binding issue: ${error.message}`);
+        log.error(
           `   This may indicate the binding expects a different parameter type.`,
         );
 
@@ -372,7 +367,7 @@ GpgVerify=false
           error: `Binding issue: ${error.message}`,
         });
       } else {
-        console.log(`   ✗ Failed to download: ${error.message}`);
+        log.error(`   ✗ Failed to download: ${error.message}`);
         results.failed++;
         results.failures.push({
           ref: `${pkg.getName()}/${pkg.getArch()}/${pkg.getBranch()}`,
@@ -391,11 +386,11 @@ GpgVerify=false
 }
 
 /**
- * Download and parse AppStream data
+ * Download and parse AppStream data, keeping only the components in `ids`
  */
-async function downloadAppStreamData(appstreamUrl) {
+async function downloadAppStreamData(appstreamUrl, ids) {
   try {
-    console.log(`Downloading AppStream data from: ${appstreamUrl}`);
+    log.info(`Downloading AppStream data from: ${appstreamUrl}`);
 
     const response = await fetch(appstreamUrl);
     if (!response.ok) {
@@ -404,39 +399,18 @@ async function downloadAppStreamData(appstreamUrl) {
       );
     }
 
-    // Create temporary file for gzipped data
-    const tempGzPath = "/tmp/appstream.xml.gz";
-    const tempXmlPath = "/tmp/appstream.xml";
-
-    const fileStream = createWriteStream(tempGzPath);
-    await pipeline(response.body, fileStream);
-
-    // Decompress gzipped file
-    await pipeline(
-      createReadStream(tempGzPath),
-      createGunzip(),
-      createWriteStream(tempXmlPath),
+    // Parse while downloading, keeping only the packages we mirror
+    const result = await parseAppstreamGzip(response.body, (component) =>
+      ids.has(component.id?.[0]),
     );
 
-    // Read and parse XML
-    const xmlData = await fs.readFile(tempXmlPath, "utf-8");
-
-    return new Promise((resolve, reject) => {
-      parseString(xmlData, (err, result) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        // Extract components from AppStream data
-        const components = result?.components?.component || [];
-        console.log(`Parsed ${components.length} AppStream components`);
-        resolve(components);
-      });
-    });
+    // Extract components from AppStream data
+    const components = result.components.component;
+    log.info(`Parsed ${components.length} AppStream components`);
+    return components;
   } catch (error) {
-    console.log(`Warning: Failed to download AppStream data: ${error.message}`);
-    console.log("Continuing without AppStream metadata...");
+    log.warn(`Warning: Failed to download AppStream data: ${error.message}`);
+    log.warn("Continuing without AppStream metadata...");
     return [];
   }
 }
@@ -461,7 +435,7 @@ async function getRepositoryInfo(installation) {
         .length,
     };
   } catch (error) {
-    console.log(`Warning: Could not get repository info: ${error.message}`);
+    log.warn(`Warning: Could not get repository info: ${error.message}`);
     return null;
   }
 }
@@ -478,7 +452,7 @@ async function initializeRepository(repoPath) {
     const configPath = path.join(repoPath, "config");
     try {
       await fs.access(configPath);
-      console.log("  Using existing OSTree repository");
+      log.info("  Using existing OSTree repository");
       return;
     } catch {
       // Repository doesn't exist, create it
@@ -509,29 +483,29 @@ DefaultBranch=stable
 
     await fs.writeFile(summaryPath, summaryContent);
 
-    console.log(`  Created OSTree repository structure at ${repoPath}`);
+    log.info(`  Created OSTree repository structure at ${repoPath}`);
   } catch (error) {
-    console.error(`  Failed to initialize repository: ${error.message}`);
+    log.error(`  Failed to initialize repository: ${error.message}`);
     throw new Error(`Repository initialization failed: ${error.message}`);
   }
 }
 
 export function checkLibFlatpakBindings() {
-  console.log("=== libflatpak Binding Check ===\n");
+  log.info("=== libflatpak Binding Check ===\n");
 
   const issues = [];
 
   try {
     // Test basic functions
     const arch = libflatpak.getDefaultArch();
-    console.log(`✓ getDefaultArch(): ${arch}`);
+    log.info(`✓ getDefaultArch(): ${arch}`);
   } catch (error) {
     issues.push(`getDefaultArch failed: ${error.message}`);
   }
 
   try {
     const installations = libflatpak.getSystemInstallations();
-    console.log(
+    log.info(
       `✓ getSystemInstallations(): ${installations?.length || 0} installations`,
     );
   } catch (error) {
@@ -542,9 +516,9 @@ export function checkLibFlatpakBindings() {
   try {
     // This is expected to fail in current bindings
     const remote = libflatpak.Remote.create("test-remote");
-    console.log(`✓ Remote.create(): Works (unexpected!)`);
+    log.info(`✓ Remote.create(): Works (unexpected!)`);
   } catch (error) {
-    console.log(`⚠ Remote.create(): ${error.message} (expected issue)`);
+    log.warn(`⚠ Remote.create(): ${error.message} (expected issue)`);
     issues.push(`Remote.create expects different parameter type`);
   }
 
@@ -554,22 +528,22 @@ export function checkLibFlatpakBindings() {
     if (installations && installations.length > 0) {
       // This is expected to fail in current bindings
       const transaction = libflatpak.Transaction.create(installations[0], null);
-      console.log(`✓ Transaction.create(): Works (unexpected!)`);
+      log.info(`✓ Transaction.create(): Works (unexpected!)`);
     }
   } catch (error) {
-    console.log(`⚠ Transaction.create(): ${error.message} (expected issue)`);
+    log.warn(`⚠ Transaction.create(): ${error.message} (expected issue)`);
     issues.push(`Transaction.create expects different parameter type`);
   }
 
   if (issues.length > 0) {
-    console.log("\n=== Binding Issues Found ===");
-    issues.forEach((issue) => console.log(`  - ${issue}`));
-    console.log(
+    log.info("\n=== Binding Issues Found ===");
+    issues.forEach((issue) => log.info(`  - ${issue}`));
+    log.info(
       "\nThese issues need to be fixed in the libflatpak native bindings.",
     );
-    console.log("Please report them to the package maintainer.");
+    log.info("Please report them to the package maintainer.");
   } else {
-    console.log("\n✓ All bindings appear to be working correctly!");
+    log.info("\n✓ All bindings appear to be working correctly!");
   }
 
   return issues.length === 0;
@@ -584,7 +558,7 @@ export default {
 // If this script is run directly, execute the main function
 if (import.meta.url === `file://${process.argv[1]}`) {
   mirrorFlatpakLibOnly().catch((error) => {
-    console.error("Unhandled error:", error);
+    log.error("Unhandled error:", error);
     process.exit(1);
   });
 }
@@ -0,0 +1,78 @@
+import { queueRef } from "./syncRef.js";
+import { fetchDependencies } from "./fetchDependencies.js";
+import { getAppBranch, pinRuntimeRef, applyBundleBranch } from "./branches.js";
+import { resolveRef } from "../ostree/ostreeManager.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "mirror" });
+
+/**
+ * Mirror one appstream component: the app ref and its dependency closure.
+ * Resolves with the component to publish, or null when the app failed and
+ * no earlier version of it is mirrored.
+ */
+export async function mirrorComponent(
+  remote,
+  arch,
+  component,
+  run,
+  index = 0,
+  total = 1,
+) {
+  const appId = component.id?.[0] || "unknown";
+  const appLog = log.child({ remote: remote.name, arch, app: appId });
+
+  appLog.info(`\n[${index + 1}/${total}] Processing ${appId}...`);
+
+  try {
+    // Get bundle information
+    const bundle = component.bundle?.[0]?.["$"];
+    if (!bundle) {
+      appLog.info(`  ⚠ No bundle information found, skipping`);
+      return null;
+    }
+
+    if (bundle.type !== "flatpak") {
+      return null;
+    }
+
+    // Fetch the application itself
+    const branch = getAppBranch(remote, appId);
+    const appRef = `app/${appId}/${arch}/${branch}`;
+    appLog.info(`  → Fetching app: ${appRef}`);
+    try {
+      run.pulledRefs.add(appRef);
+      await queueRef(remote, appRef, run);
+      appLog.info(`  ✓ App fetched successfully: ${appId}`);
+    } catch (error) {
+      appLog.error(`  ✗ Failed to fetch app ${appId}: ${error.message}`);
+      // An app mirrored before stays published, with its dependencies,
+      // at the commit we already have
+      if (!(await resolveRef(appRef))) {
+        return null;
+      }
+      appLog.warn(`  ⚠ Keeping the mirrored version of ${appId}`);
+    }
+
+    // Fetch the runtime, base app and extensions from the app's metadata
+    const dependencies = await fetchDependencies(remote, appRef, run);
+    if (dependencies.failed.length > 0) {
+      appLog.warn(
+        `  ⚠ ${dependencies.failed.length} dependencies of ${appId} could not be fetched`,
+      );
+    }
+
+    // Publish the branch and runtime we actually mirrored
+    return applyBundleBranch(
+      component,
+      appRef,
+      dependencies.runtime ||
+        (bundle.runtime && pinRuntimeRef(remote, bundle.runtime)),
+    );
+  } catch (error) {
+    appLog.error(`  ✗ Error processing ${appId}: ${error.message}`);
+    return null;
+  }
+}
+
+export default mirrorComponent;
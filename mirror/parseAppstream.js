@@ -0,0 +1,136 @@
+import sax from "sax";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import { Writable } from "stream";
+import { StringDecoder } from "string_decoder";
+
+/**
+ * Streaming appstream parser. Components are built one at a time in the
+ * same shape xml2js produces with its default options (`$` for attributes,
+ * `_` for text, every child in an array), handed to `filter`, and dropped
+ * unless it keeps them, so memory stays bounded by the selected catalog.
+ */
+
+function createNode(attributes) {
+  // Same key order as xml2js: text first, then attributes
+  const node = { _: "" };
+  if (Object.keys(attributes).length > 0) {
+    node.$ = { ...attributes };
+  }
+  return node;
+}
+
+/**
+ * Turn a finished element into its xml2js value: whitespace-only text is
+ * dropped, text-only elements become strings, empty elements "".
+ */
+function finishNode(node) {
+  let emptyText = "";
+  if (/^\s*$/.test(node._)) {
+    emptyText = node._;
+    delete node._;
+  } else if (Object.keys(node).length === 1) {
+    return node._;
+  }
+  return Object.keys(node).length === 0 ? emptyText : node;
+}
+
+function appendChild(parent, name, value) {
+  if (!parent[name]) {
+    parent[name] = [];
+  }
+  parent[name].push(value);
+}
+
+async function parse(streams, filter) {
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  const root = { $: {}, component: [] };
+  // Open elements of the current <component>, the component itself first
+  const stack = [];
+  let depth = 0;
+
+  parser.onopentag = ({ name, attributes }) => {
+    depth++;
+    if (depth === 1) {
+      Object.assign(root.$, attributes);
+    } else if (
+      (depth === 2 && name === "component") ||
+      (depth > 2 && stack.length > 0)
+    ) {
+      stack.push({ name, node: createNode(attributes) });
+    }
+  };
+
+  const onText = (text) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].node._ += text;
+    }
+  };
+  parser.ontext = onText;
+  parser.oncdata = onText;
+
+  parser.onclosetag = () => {
+    // Components sit at depth 2, so an open element at depth d is stack[d - 2]
+    const open = stack.length > 0 && stack.length === depth - 1;
+    depth--;
+    if (!open) {
+      return;
+    }
+
+    const { name, node } = stack.pop();
+    const value = finishNode(node);
+
+    if (stack.length > 0) {
+      appendChild(stack[stack.length - 1].node, name, value);
+    } else if (filter(value)) {
+      root.component.push(value);
+    }
+  };
+
+  // Multi-byte characters may be split across chunks
+  const decoder = new StringDecoder("utf8");
+  const feed = (write) => {
+    try {
+      write();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  await pipeline(
+    ...streams,
+    new Writable({
+      write(chunk, encoding, callback) {
+        callback(feed(() => parser.write(decoder.write(chunk))));
+      },
+      final(callback) {
+        callback(feed(() => parser.write(decoder.end()).close()));
+      },
+    }),
+  );
+
+  if (Object.keys(root.$).length === 0) {
+    delete root.$;
+  }
+  return { components: root };
+}
+
+/**
+ * Parse a decompressed appstream XML stream. Resolves with
+ * `{ components: { $, component } }`, where `component` holds only the
+ * components `filter` accepted.
+ */
+export function parseAppstreamStream(input, filter = () => true) {
+  return parse([input], filter);
+}
+
+/**
+ * Parse a gzip-compressed appstream stream. A truncated or corrupted
+ * gzip rejects instead of yielding a partial catalog.
+ */
+export function parseAppstreamGzip(input, filter = () => true) {
+  return parse([input, zlib.createGunzip()], filter);
+}
+
+export default parseAppstreamStream;
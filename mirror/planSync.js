@@ -0,0 +1,172 @@
+import { fetchSummary, getRefSizes } from "./fetchSummary.js";
+import { parseMetadata, getDependencyRefs } from "./fetchDependencies.js";
+import { getAppBranch } from "./branches.js";
+import { getRefOwner, getRemotePriority } from "./remotes.js";
+import { listLocalRefs, resolveRef } from "../ostree/ostreeManager.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "plan" });
+
+/**
+ * What a sync would do to a ref: "add" it, "update" it to a new upstream
+ * commit, "keep" it as it is, or nothing when the remote doesn't offer it
+ * ("missing") or its summary can't be read ("unknown").
+ */
+function getAction(ref, upstreamCommit, localCommit, state) {
+  if (!upstreamCommit) {
+    return "missing";
+  }
+  if (!localCommit) {
+    return "add";
+  }
+
+  // Same test syncRef uses to skip a pull
+  const previous = state.refs[ref];
+  const unchanged =
+    localCommit === upstreamCommit ||
+    (previous?.upstreamCommit === upstreamCommit &&
+      previous?.localCommit === localCommit);
+  return unchanged ? "keep" : "update";
+}
+
+/**
+ * Work out what a sync of the given selections would pull, without
+ * touching the repository. `selectionsByArch` maps each architecture to
+ * the `{ remote, components }` list resolveAppOwners returns.
+ *
+ * Dependencies are read from the Flatpak metadata remotes keep in their
+ * summary, so they are only as complete as that metadata. Resolves with
+ * `{ apps, refs }`: apps from highest to lowest priority, each with the
+ * refs it needs, and every planned ref by name.
+ */
+export async function planSync(selectionsByArch, state) {
+  let localRefs;
+  try {
+    localRefs = new Set(await listLocalRefs());
+  } catch (error) {
+    localRefs = new Set();
+  }
+
+  const refs = new Map();
+  const remoteRefs = new Map();
+  // Remotes whose summary failed, so each is only tried and reported once
+  const unreachable = new Set();
+
+  async function getRemoteRefs(remote) {
+    if (!remoteRefs.has(remote.name)) {
+      const summary = await fetchSummary(remote);
+      remoteRefs.set(remote.name, new Set(summary.refs.keys()));
+    }
+    return remoteRefs.get(remote.name);
+  }
+
+  async function describeRef(remote, ref) {
+    // Dependencies come from the highest-priority remote offering them
+    const owner = ref.startsWith("app/")
+      ? remote
+      : await getRefOwner(ref, remote);
+    const localCommit = localRefs.has(ref) ? await resolveRef(ref) : null;
+    const entry = {
+      ref,
+      remote: owner.name,
+      action: "unknown",
+      localCommit,
+      upstreamCommit: null,
+      installedSize: null,
+      downloadSize: null,
+      dependencies: [],
+    };
+
+    if (unreachable.has(owner.name)) {
+      return entry;
+    }
+
+    let sizes;
+    try {
+      const summary = await fetchSummary(owner);
+      entry.upstreamCommit = summary.refs.get(ref)?.commit || null;
+      sizes = await getRefSizes(owner, ref);
+    } catch (error) {
+      unreachable.add(owner.name);
+      log.warn(
+        `⚠ Could not read the summary of ${owner.name}: ${error.message}`,
+      );
+      return entry;
+    }
+
+    entry.action = getAction(ref, entry.upstreamCommit, localCommit, state);
+    entry.installedSize = sizes?.installedSize ?? null;
+    entry.downloadSize = sizes?.downloadSize ?? null;
+    if (sizes?.metadata) {
+      entry.dependencies = getDependencyRefs(
+        remote,
+        parseMetadata(sizes.metadata),
+        ref,
+        await getRemoteRefs(owner),
+      );
+    }
+    return entry;
+  }
+
+  // Each ref is described once, however many apps need it
+  function planRef(remote, ref) {
+    if (!refs.has(ref)) {
+      refs.set(ref, describeRef(remote, ref));
+    }
+    return refs.get(ref);
+  }
+
+  async function collectRefs(remote, ref, collected) {
+    if (collected.has(ref)) {
+      return;
+    }
+    collected.add(ref);
+
+    const { dependencies } = await planRef(remote, ref);
+    for (const dependency of dependencies) {
+      await collectRefs(remote, dependency, collected);
+    }
+  }
+
+  const manualIds = new Set(state.manualApps.map((app) => app.id));
+  const apps = [];
+
+  for (const [arch, selections] of selectionsByArch) {
+    for (const { remote, components } of selections) {
+      for (const component of components) {
+        // Same components mirrorComponent would skip
+        if (component.bundle?.[0]?.$?.type !== "flatpak") {
+          continue;
+        }
+
+        const appId = component.id?.[0];
+        const ref = `app/${appId}/${arch}/${getAppBranch(remote, appId)}`;
+        const appRefs = new Set();
+        await collectRefs(remote, ref, appRefs);
+
+        apps.push({
+          appId,
+          arch,
+          remote: remote.name,
+          priority: getRemotePriority(remote),
+          manual: manualIds.has(appId),
+          ref,
+          refs: [...appRefs],
+        });
+      }
+    }
+  }
+
+  // Apps added by hand rank above selected apps of the same priority
+  apps.sort(
+    (a, b) => b.priority - a.priority || Number(b.manual) - Number(a.manual),
+  );
+
+  const entries = await Promise.all(refs.values());
+  return {
+    apps,
+    refs: new Map(entries.map((entry) => [entry.ref, entry])),
+  };
+}
+
+export default planSync;
@@ -0,0 +1,99 @@
+import config from "../utils/config.js";
+import { fetchSummary } from "./fetchSummary.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "remotes" });
+
+// Owner of each dependency ref, decided once per run
+const refOwners = new Map();
+
+/**
+ * A remote's `priority`; higher wins, and remotes without one get 0.
+ */
+export function getRemotePriority(remote) {
+  return Number(remote.priority ?? 0);
+}
+
+/**
+ * Remotes from highest to lowest priority. Remotes with the same priority
+ * keep their order in config.yaml.
+ */
+export function getRemotesByPriority(remotes = config.repo_remotes) {
+  return [...remotes].sort(
+    (a, b) => getRemotePriority(b) - getRemotePriority(a),
+  );
+}
+
+/**
+ * Give every app ID to the highest-priority remote that selected it.
+ * `selections` is a list of `{ remote, components }`; resolves to the same
+ * shape with each remote keeping only the apps it owns.
+ */
+export function resolveAppOwners(selections, arch) {
+  const owners = new Map();
+
+  const byPriority = [...selections].sort(
+    (a, b) => getRemotePriority(b.remote) - getRemotePriority(a.remote),
+  );
+
+  for (const { remote, components } of byPriority) {
+    for (const component of components) {
+      const id = component.id?.[0];
+      if (!id) {
+        continue;
+      }
+
+      const owner = owners.get(id);
+      if (owner) {
+        log.warn(
+          `⚠ Conflict: ${id} (${arch}) is offered by ${owner.name} and ${remote.name}, using ${owner.name} (priority ${getRemotePriority(owner)})`,
+        );
+        continue;
+      }
+      owners.set(id, remote);
+    }
+  }
+
+  return selections.map(({ remote, components }) => ({
+    remote,
+    components: components.filter(
+      (component) => owners.get(component.id?.[0]) === remote,
+    ),
+  }));
+}
+
+/**
+ * Remote to pull a dependency ref from: the highest-priority remote whose
+ * summary lists it, falling back to the remote of the app that needs it.
+ */
+export async function getRefOwner(ref, fallback) {
+  if (!refOwners.has(ref)) {
+    refOwners.set(ref, findRefOwner(ref, fallback));
+  }
+  return refOwners.get(ref);
+}
+
+async function findRefOwner(ref, fallback) {
+  const candidates = [];
+
+  for (const remote of getRemotesByPriority()) {
+    try {
+      const summary = await fetchSummary(remote);
+      if (summary.refs.has(ref)) {
+        candidates.push(remote);
+      }
+    } catch (error) {
+      // Without its summary we can't tell what the remote offers
+    }
+  }
+
+  if (candidates.length === 0) {
+    return fallback;
+  }
+  if (candidates.length > 1) {
+    log.warn(
+      `⚠ Conflict: ${ref} is offered by ${candidates.map((r) => r.name).join(", ")}, using ${candidates[0].name}`,
+    );
+  }
+  return candidates[0];
+}
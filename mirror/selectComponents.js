@@ -0,0 +1,112 @@
+// Flatpak application IDs: three or more dot-separated elements of letters,
+// digits, `_` and `-`, not starting with a digit. Catalog data is untrusted
+// and ids end up in file paths and shell commands.
+const APP_ID = /^[A-Za-z_-][A-Za-z0-9_-]*(\.[A-Za-z_-][A-Za-z0-9_-]*){2,}$/;
+
+/**
+ * Whether `id` is a valid Flatpak application ID.
+ */
+export function isValidAppId(id) {
+  return typeof id === "string" && id.length <= 255 && APP_ID.test(id);
+}
+
+/**
+ * Convert a glob pattern such as `org.gnome.*` into an anchored RegExp.
+ * Supports `*` (any run of characters) and `?` (a single character).
+ */
+export function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Normalise an include/exclude block from config.yaml into arrays.
+ */
+function normalizeRules(rules = {}) {
+  return {
+    ids: rules.ids || [],
+    patterns: (rules.patterns || []).map(globToRegExp),
+    categories: rules.categories || [],
+  };
+}
+
+function hasRules(rules) {
+  return (
+    rules.ids.length > 0 ||
+    rules.patterns.length > 0 ||
+    rules.categories.length > 0
+  );
+}
+
+function getCategories(component) {
+  return component.categories?.[0]?.category || [];
+}
+
+function matchesRules(component, rules) {
+  const appId = component.id?.[0];
+  if (!appId) {
+    return false;
+  }
+
+  if (rules.ids.includes(appId)) {
+    return true;
+  }
+
+  if (rules.patterns.some((regex) => regex.test(appId))) {
+    return true;
+  }
+
+  const categories = getCategories(component);
+  return rules.categories.some((category) => categories.includes(category));
+}
+
+/**
+ * Build a matcher for the include/exclude rules of a `repo_remotes` entry.
+ * A component is selected when it has a valid app ID, matches the include
+ * rules (or no include rules are given) and does not match any exclude rule.
+ */
+export function createSelector(remote) {
+  const include = normalizeRules(remote.include);
+  const exclude = normalizeRules(remote.exclude);
+  const includeAll = !hasRules(include);
+
+  return (component) => {
+    if (!isValidAppId(component.id?.[0])) {
+      return false;
+    }
+    if (!includeAll && !matchesRules(component, include)) {
+      return false;
+    }
+    return !matchesRules(component, exclude);
+  };
+}
+
+/**
+ * Filter appstream components down to the ones a remote is configured to
+ * mirror, honouring `max_apps` when it is set.
+ */
+export function selectComponents(components, remote) {
+  const matches = createSelector(remote);
+  const maxApps = remote.max_apps > 0 ? remote.max_apps : Infinity;
+  const selected = [];
+
+  for (const component of components) {
+    if (selected.length >= maxApps) {
+      break;
+    }
+    if (matches(component)) {
+      selected.push(component);
+    }
+  }
+
+  return selected;
+}
+
+export default selectComponents;
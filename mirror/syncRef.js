@@ -0,0 +1,187 @@
+import { fetchPackage } from "./fetchPackage.js";
+import { getUpstreamCommit } from "./fetchSummary.js";
+import { resolveRef, signCommit } from "../ostree/ostreeManager.js";
+import { getSigningKey } from "../utils/gpg.js";
+import { recordRef } from "../utils/state.js";
+import { createQueue } from "../utils/queue.js";
+import config from "../utils/config.js";
+import { parseTransferredBytes } from "../utils/format.js";
+import { classifyError } from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "sync" });
+
+/**
+ * Create the shared bookkeeping for one sync run.
+ */
+export function createRun(state) {
+  return {
+    state,
+    // Refs already handled during this run, so each is pulled only once
+    pulledRefs: new Set(),
+    // Refs kept at their current commit without being pulled
+    heldRefs: new Set(),
+    // Pulls run in parallel, keyed by ref so shared runtimes are pulled once
+    queue: createQueue({ concurrency: config.workers || 1 }),
+    // ref → "up-to-date" | "updated" | "new" | "failed"
+    outcomes: new Map(),
+    // ref → commit it pointed at before being pulled, for static deltas
+    previousCommits: new Map(),
+    // ref → what happened to it, for the run report
+    refReports: new Map(),
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Count the outcomes of a run by kind.
+ */
+export function summarizeRun(run) {
+  const counts = { "up-to-date": 0, updated: 0, new: 0, failed: 0 };
+  for (const outcome of run.outcomes.values()) {
+    counts[outcome]++;
+  }
+  return counts;
+}
+
+/**
+ * Refs whose commit changed during a run.
+ */
+export function getChangedRefs(run) {
+  return [...run.outcomes]
+    .filter(([, outcome]) => outcome === "updated" || outcome === "new")
+    .map(([ref]) => ref);
+}
+
+/**
+ * Bring a single ref up to date with the remote, skipping the pull when the
+ * upstream commit has not changed since it was last mirrored.
+ */
+export async function syncRef(remote, ref, run) {
+  const refLog = log.child({ remote: remote.name, ref });
+
+  const previous = run.state.refs[ref];
+  const localCommit = await resolveRef(ref);
+
+  let upstreamCommit = null;
+  try {
+    upstreamCommit = await getUpstreamCommit(remote, ref);
+  } catch (error) {
+    refLog.warn(`  ⚠ Could not read upstream summary: ${error.message}`);
+  }
+
+  const unchanged =
+    upstreamCommit &&
+    localCommit &&
+    (localCommit === upstreamCommit ||
+      (previous?.upstreamCommit === upstreamCommit &&
+        previous?.localCommit === localCommit));
+
+  const signingKey = getSigningKey()?.keyId || null;
+
+  const startedAt = Date.now();
+  const report = (fields) =>
+    run.refReports.set(ref, {
+      ref,
+      remote: remote.name,
+      oldCommit: localCommit,
+      newCommit: localCommit,
+      bytesFetched: 0,
+      durationMs: Date.now() - startedAt,
+      error: null,
+      ...fields,
+    });
+
+  if (unchanged) {
+    refLog.info(`  ✓ Up to date: ${ref} (${localCommit.substring(0, 8)})`);
+
+    // Refs mirrored before signing was configured still need our signature
+    if (signingKey && previous?.signedWith !== signingKey) {
+      try {
+        await signCommit(localCommit);
+      } catch (error) {
+        recordRef(run.state, ref, {
+          remote: remote.name,
+          outcome: "failed",
+          error: error.message,
+          signedWith: null,
+        });
+        run.outcomes.set(ref, "failed");
+        report({
+          outcome: "failed",
+          error: { class: "gpg", message: error.message, attempts: 1 },
+        });
+        throw error;
+      }
+    }
+
+    recordRef(run.state, ref, {
+      remote: remote.name,
+      upstreamCommit,
+      localCommit,
+      outcome: "up-to-date",
+      signedWith: signingKey,
+    });
+    run.outcomes.set(ref, "up-to-date");
+    report({ outcome: "up-to-date" });
+    return "up-to-date";
+  }
+
+  if (localCommit) {
+    run.previousCommits.set(ref, localCommit);
+  }
+
+  let output;
+  try {
+    output = await fetchPackage(remote.name, ref);
+  } catch (error) {
+    // The pull may have moved the ref before signing failed; forget the
+    // signature so the next run signs whatever commit the ref is on
+    recordRef(run.state, ref, {
+      remote: remote.name,
+      outcome: "failed",
+      error: error.message,
+      signedWith: null,
+    });
+    run.outcomes.set(ref, "failed");
+    report({
+      outcome: "failed",
+      error: {
+        class: classifyError(error),
+        message: error.message,
+        attempts: error.attempts || 1,
+      },
+    });
+    throw error;
+  }
+
+  const newCommit = await resolveRef(ref);
+  let outcome = "new";
+  if (localCommit) {
+    outcome = localCommit === newCommit ? "up-to-date" : "updated";
+  }
+  recordRef(run.state, ref, {
+    remote: remote.name,
+    upstreamCommit: upstreamCommit || newCommit,
+    localCommit: newCommit,
+    mirroredAt: new Date().toISOString(),
+    outcome,
+    error: null,
+    signedWith: signingKey,
+  });
+  run.outcomes.set(ref, outcome);
+  report({
+    outcome,
+    newCommit,
+    bytesFetched: parseTransferredBytes(output),
+  });
+  return outcome;
+}
+
+/**
+ * Schedule a ref on the run's pull queue. Every ref is synced at most once
+ * per run; later callers get the promise of the first request.
+ */
+export function queueRef(remote, ref, run) {
+  return run.queue.push(() => syncRef(remote, ref, run), ref);
+}
@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+
+import config from "../utils/config.js";
+import { getRepoInfo } from "../utils/repoInfo.js";
+import { getSigningKey, exportPublicKey } from "../utils/gpg.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "client-files" });
+
+/**
+ * Write `<name>.flatpakrepo` so clients can add the repository with
+ * a single command.
+ */
+export async function generateFlatpakrepoFile() {
+  const repoPath = config.repo_name;
+  const info = getRepoInfo();
+
+  // Publish our signing key so clients verify everything we serve
+  let gpgLines = "GPGVerify=false\n";
+  if (getSigningKey()) {
+    try {
+      gpgLines = `GPGVerify=true\nGPGKey=${await exportPublicKey()}\n`;
+    } catch (error) {
+      log.warn(`⚠ Could not export GPG key: ${error.message}`);
+      return;
+    }
+  }
+
+  const iconLine = info.icon ? `Icon=${info.icon}\n` : "";
+  const flatpakrepoContent = `[Flatpak Repo]
+Title=${info.title}
+Url=${info.url}
+Homepage=${info.homepage}
+Comment=${info.comment}
+Description=${info.description}
+${iconLine}${gpgLines}`;
+
+  const outputPath = path.join(repoPath, `${info.name}.flatpakrepo`);
+
+  try {
+    await fs.writeFile(outputPath, flatpakrepoContent);
+    log.info(`✓ Created ${info.name}.flatpakrepo`);
+  } catch (error) {
+    log.warn(`⚠ Could not create .flatpakrepo file: ${error.message}`);
+  }
+}
+
+/**
+ * Print the commands clients use to add the repository at `url`.
+ */
+export function printClientInstructions(url = getRepoInfo().url) {
+  const { name } = getRepoInfo();
+
+  log.info(`\nClients can add the repository using:`);
+  log.info(`  flatpak remote-add --user ${name} ${url}${name}.flatpakrepo`);
+  if (!getSigningKey()) {
+    log.info(`\nOr directly:`);
+    log.info(`  flatpak remote-add --user --no-gpg-verify ${name} ${url}`);
+  }
+  log.info(`\nThen update appstream:`);
+  log.info(`  flatpak update --appstream ${name}`);
+}
+
+/**
+ * Untranslated text of an appstream element such as `<name>`.
+ */
+function getUntranslated(elements) {
+  const element =
+    (elements || []).find((item) => typeof item === "string" || !item.$) ||
+    elements?.[0];
+  if (element === undefined) {
+    return null;
+  }
+  return typeof element === "string" ? element : element._ || null;
+}
+
+/**
+ * Write `apps/<id>.flatpakref` for every mirrored app plus an
+ * `apps/index.json` listing them, removing files for apps we no longer carry.
+ */
+export async function generateFlatpakrefFiles(componentsByArch) {
+  const repoPath = config.repo_name;
+  const appsDir = path.join(repoPath, "apps");
+  const info = getRepoInfo();
+
+  let gpgLines = "";
+  if (getSigningKey()) {
+    try {
+      gpgLines = `GPGKey=${await exportPublicKey()}\n`;
+    } catch (error) {
+      log.warn(`⚠ Could not export GPG key: ${error.message}`);
+      return;
+    }
+  }
+
+  // One file per app id; clients pick their own architecture
+  const apps = new Map();
+  for (const [arch, components] of componentsByArch) {
+    for (const component of components) {
+      const id = component.id?.[0];
+      const bundleRef = component.bundle?.[0]?._;
+      if (!id || !bundleRef) {
+        continue;
+      }
+
+      if (!apps.has(id)) {
+        apps.set(id, {
+          id,
+          title: getUntranslated(component.name) || id,
+          branch: bundleRef.split("/")[3],
+          arches: [],
+        });
+      }
+      apps.get(id).arches.push(arch);
+    }
+  }
+
+  await fs.mkdir(appsDir, { recursive: true });
+
+  const index = [];
+  for (const app of apps.values()) {
+    const content = `[Flatpak Ref]
+Name=${app.id}
+Branch=${app.branch}
+Title=${app.title}
+Url=${info.url}
+RuntimeRepo=${info.url}${info.name}.flatpakrepo
+SuggestRemoteName=${info.name}
+IsRuntime=false
+${gpgLines}`;
+
+    const fileName = `${app.id}.flatpakref`;
+    await fs.writeFile(path.join(appsDir, fileName), content);
+    index.push({
+      id: app.id,
+      title: app.title,
+      branch: app.branch,
+      arches: app.arches,
+      flatpakref: `apps/${fileName}`,
+      url: `${info.url}apps/${fileName}`,
+    });
+  }
+
+  // Drop files for apps that are no longer mirrored
+  for (const entry of await fs.readdir(appsDir)) {
+    if (entry.endsWith(".flatpakref") && !apps.has(entry.slice(0, -11))) {
+      await fs.unlink(path.join(appsDir, entry));
+    }
+  }
+
+  index.sort((a, b) => a.id.localeCompare(b.id));
+  await fs.writeFile(
+    path.join(appsDir, "index.json"),
+    JSON.stringify({ repository: info.url, apps: index }, null, 2),
+  );
+  log.info(`✓ Created ${index.length} .flatpakref files in apps/`);
+}
@@ -1,14 +1,24 @@
 import { exec } from "child_process";
 import { promisify } from "util";
 import fs from "fs/promises";
+import os from "os";
 import path from "path";
-import { Builder } from "xml2js";
+import { Builder, parseStringPromise } from "xml2js";
 
-import config from "../utils/config.js";
+import config, { getArchitectures } from "../utils/config.js";
+import { globToRegExp } from "../mirror/selectComponents.js";
+import { ICON_SIZES } from "../mirror/fetchIcons.js";
+import { rewriteComponents } from "./rewriteAppstream.js";
+import { formatBytes, shellQuote } from "../utils/format.js";
+import { getRepoInfo } from "../utils/repoInfo.js";
+import { getSigningKey, gpgSignArgs } from "../utils/gpg.js";
+import logger from "../utils/logger.js";
 
 const execAsync = promisify(exec);
 
 export async function initRepo() {
+  const log = logger.child({ step: "init" });
+
   const repoPath = config.repo_name;
 
   // Check if repository is properly initialized by looking for the objects directory
@@ -17,21 +27,21 @@ export async function initRepo() {
 
   try {
     await fs.access(objectsPath);
-    console.log(`Repository already initialized: ${repoPath}`);
+    log.info(`Repository already initialized: ${repoPath}`);
   } catch (error) {
     needsInit = true;
   }
 
   if (needsInit) {
-    console.log(`Initializing repository: ${repoPath}`);
+    log.info(`Initializing repository: ${repoPath}`);
     const command = `ostree init --repo=${repoPath} --mode=archive-z2`;
 
     try {
       const { stderr } = await execAsync(command);
       if (stderr) {
-        console.warn(`Command stderr: ${stderr}`);
+        log.warn(`Command stderr: ${stderr}`);
       }
-      console.log(`✓ Repository initialized: ${repoPath}`);
+      log.info(`✓ Repository initialized: ${repoPath}`);
     } catch (error) {
       throw new Error(`Failed to run ostree init: ${error.message}`);
     }
@@ -50,62 +60,155 @@ export async function initRepo() {
         const { stdout } = await execAsync(checkRemoteCommand);
         if (stdout.includes(remote.name)) {
           remoteExists = true;
-          console.log(`Remote already exists: ${remote.name}`);
+          log.info(`Remote already exists: ${remote.name}`);
         }
       } catch (error) {}
 
-      if (!remoteExists) {
-        const addRemoteCommand = `ostree remote add --repo=${repoPath} --no-gpg-verify ${remote.name} ${remote.url}`;
-        try {
-          const { stderr } = await execAsync(addRemoteCommand);
-          if (stderr) {
-            console.warn(`Command stderr for remote ${remote.name}: ${stderr}`);
+      const { keyFile, cleanup } = await getRemoteKeyFile(remote);
+
+      try {
+        if (!remoteExists) {
+          const gpgOptions = keyFile
+            ? `--set=gpg-verify=true --set=gpg-verify-summary=true --gpg-import=${shellQuote(keyFile)}`
+            : "--no-gpg-verify";
+          const addRemoteCommand = `ostree remote add --repo=${repoPath} ${gpgOptions} ${remote.name} ${remote.url}`;
+          try {
+            const { stderr } = await execAsync(addRemoteCommand);
+            if (stderr) {
+              log.warn(`Command stderr for remote ${remote.name}: ${stderr}`);
+            }
+            log.info(`✓ Added remote: ${remote.name}`);
+          } catch (error) {
+            throw new Error(
+              `Failed to add remote ${remote.name}: ${error.message}`,
+            );
           }
-          console.log(`✓ Added remote: ${remote.name}`);
-        } catch (error) {
-          throw new Error(
-            `Failed to add remote ${remote.name}: ${error.message}`,
-          );
+        } else {
+          await updateRemoteGpg(remote, keyFile);
         }
+      } finally {
+        await cleanup();
       }
     }
   }
 }
 
+/**
+ * Resolve the upstream key for a remote to a file ostree can import.
+ * Resolves with `{ keyFile, cleanup }`, where `keyFile` is null for remotes
+ * that opted out with `gpg_verify: false` and `cleanup` removes any
+ * temporary copy. Throws for remotes that configure neither a key nor the
+ * opt-out, or whose key file is missing.
+ */
+async function getRemoteKeyFile(remote) {
+  const log = logger.child({ step: "init", remote: remote.name });
+  const noCleanup = async () => {};
+
+  if (remote.gpg_verify === false) {
+    log.warn(
+      `⚠ GPG verification is disabled for remote ${remote.name}: pulled content is NOT verified`,
+    );
+    return { keyFile: null, cleanup: noCleanup };
+  }
+
+  if (remote.gpg_key_file) {
+    try {
+      await fs.access(remote.gpg_key_file);
+    } catch (error) {
+      throw new Error(
+        `GPG key file ${remote.gpg_key_file} for remote ${remote.name} not found. Download the remote's key there, inline it with gpg_key, or set gpg_verify: false`,
+      );
+    }
+    return { keyFile: remote.gpg_key_file, cleanup: noCleanup };
+  }
+
+  if (remote.gpg_key) {
+    // Inline keys are either ASCII-armored or base64 like .flatpakrepo GPGKey=
+    const key = remote.gpg_key.trim();
+    const data = key.startsWith("-----BEGIN")
+      ? key
+      : Buffer.from(key.replace(/\s+/g, ""), "base64");
+
+    // A private directory, so no other user can swap the key before import
+    const keyDir = await fs.mkdtemp(path.join(os.tmpdir(), "usrpkg-gpg-"));
+    const keyFile = path.join(keyDir, `${remote.name}.gpg`);
+    await fs.writeFile(keyFile, data, { flag: "wx", mode: 0o600 });
+    return {
+      keyFile,
+      cleanup: () => fs.rm(keyDir, { recursive: true, force: true }),
+    };
+  }
+
+  throw new Error(
+    `Remote ${remote.name} has no gpg_key_file or gpg_key; set gpg_verify: false to mirror it without verification`,
+  );
+}
+
+/**
+ * Bring the GPG settings of an existing remote in line with config.yaml.
+ */
+async function updateRemoteGpg(remote, keyFile) {
+  const repoPath = config.repo_name;
+  const verify = keyFile ? "true" : "false";
+
+  try {
+    if (keyFile) {
+      await execAsync(
+        `ostree remote gpg-import --repo=${repoPath} --keyring=${shellQuote(keyFile)} ${remote.name}`,
+      );
+    }
+    for (const option of ["gpg-verify", "gpg-verify-summary"]) {
+      await execAsync(
+        `ostree config --repo=${repoPath} set 'remote "${remote.name}".${option}' ${verify}`,
+      );
+    }
+  } catch (error) {
+    throw new Error(
+      `Failed to configure GPG for remote ${remote.name}: ${error.message}`,
+    );
+  }
+}
+
 async function ensureFlatpakStructure() {
+  const log = logger.child({ step: "init" });
+
   const repoPath = config.repo_name;
 
-  // Create appstream directory structure
+  // Create appstream directory structure for every mirrored architecture
   const appstreamDir = path.join(repoPath, "appstream");
-  const x86_64Dir = path.join(appstreamDir, "x86_64");
-  const iconsDir = path.join(x86_64Dir, "icons");
-  const activeDir = path.join(x86_64Dir, "active");
 
   try {
     await fs.mkdir(appstreamDir, { recursive: true });
-    await fs.mkdir(x86_64Dir, { recursive: true });
-    await fs.mkdir(iconsDir, { recursive: true });
-    await fs.mkdir(activeDir, { recursive: true });
-    console.log("✓ Created Flatpak directory structure");
+    for (const arch of getArchitectures()) {
+      const archDir = path.join(appstreamDir, arch);
+      await fs.mkdir(archDir, { recursive: true });
+      await fs.mkdir(path.join(archDir, "active"), { recursive: true });
+      for (const size of ICON_SIZES) {
+        await fs.mkdir(path.join(archDir, "active", "icons", size), {
+          recursive: true,
+        });
+      }
+    }
+    log.info("✓ Created Flatpak directory structure");
   } catch (error) {
-    console.warn(
-      `Warning: Could not create directory structure: ${error.message}`,
-    );
+    log.warn(`Warning: Could not create directory structure: ${error.message}`);
   }
 }
 
-export async function generateAppstream(components) {
+export async function generateAppstream(components, arch = "x86_64") {
+  const log = logger.child({ step: "appstream", arch });
+
   const repoPath = config.repo_name;
 
   // Create appstream directory in active location (required for flatpak build-update-repo)
-  const activeDir = path.join(repoPath, "appstream", "x86_64", "active");
+  const activeDir = path.join(repoPath, "appstream", arch, "active");
   const appstreamPath = path.join(activeDir, "appstream.xml");
 
-  // Build XML from components
+  // Build XML from components, rewritten to describe our repository
   const appstreamData = {
     components: {
-      $: { version: "0.14" },
-      component: components,
+      $: { version: "0.14", origin: getRepoInfo().name },
+      component: rewriteComponents(components, await listLocalRefs()),
     },
   };
 
@@ -116,17 +219,19 @@ export async function generateAppstream(components) {
 
   // Write XML to active directory
   await fs.writeFile(appstreamPath, xml);
-  console.log(`✓ Generated appstream.xml with ${components.length} components`);
+  log.info(
+    `✓ Generated ${arch} appstream.xml with ${components.length} components`,
+  );
 
   // Compress it
   const zlib = await import("zlib");
   const content = await fs.readFile(appstreamPath);
   const compressed = zlib.gzipSync(content);
   await fs.writeFile(appstreamPath + ".gz", compressed);
-  console.log(`✓ Compressed to appstream.xml.gz`);
+  log.info(`✓ Compressed to appstream.xml.gz`);
 
   // Also copy to the standard location for backward compatibility
-  const standardDir = path.join(repoPath, "appstream", "x86_64");
+  const standardDir = path.join(repoPath, "appstream", arch);
   try {
     await fs.copyFile(appstreamPath, path.join(standardDir, "appstream.xml"));
     await fs.copyFile(
@@ -134,23 +239,23 @@ export async function generateAppstream(components) {
       path.join(standardDir, "appstream.xml.gz"),
     );
   } catch (error) {
-    console.warn(
-      `Warning: Could not copy to standard location: ${error.message}`,
-    );
+    log.warn(`Warning: Could not copy to standard location: ${error.message}`);
   }
 }
 
 export async function createSummary() {
+  const log = logger.child({ step: "summary" });
+
   const repoPath = config.repo_name;
 
-  console.log("Updating repository metadata...");
+  log.info("Updating repository metadata...");
 
   // First, manually commit appstream to both refs to ensure they exist
-  // This guarantees both appstream/x86_64 and appstream2/x86_64 are present
+  // This guarantees both appstream/<arch> and appstream2/<arch> are present
   await commitAppstreamRefs();
 
   // Then use flatpak build-update-repo to update summary and metadata
-  const buildUpdateCommand = `flatpak build-update-repo --no-update-appstream ${repoPath}`;
+  const buildUpdateCommand = `flatpak build-update-repo --no-update-appstream${buildUpdateRepoArgs()}${gpgSignArgs()} ${repoPath}`;
 
   try {
     const { stdout, stderr } = await execAsync(buildUpdateCommand);
@@ -165,19 +270,19 @@ export async function createSummary() {
           line.includes("commit") ||
           line.includes("appstream")
         ) {
-          console.log(`  ${line}`);
+          log.info(`  ${line}`);
         }
       });
     }
 
     if (stderr && !stderr.includes("warning")) {
-      console.warn(`build-update-repo stderr: ${stderr}`);
+      log.warn(`build-update-repo stderr: ${stderr}`);
     }
 
-    console.log(`✓ Updated Flatpak repository successfully`);
+    log.info(`✓ Updated Flatpak repository successfully`);
   } catch (error) {
-    console.warn(`⚠ flatpak build-update-repo failed: ${error.message}`);
-    console.log(`Using OSTree summary fallback...`);
+    log.warn(`⚠ flatpak build-update-repo failed: ${error.message}`);
+    log.info(`Using OSTree summary fallback...`);
     await updateOstreeSummary();
   }
 
@@ -186,106 +291,461 @@ export async function createSummary() {
 }
 
 async function commitAppstreamRefs() {
+  const log = logger.child({ step: "summary" });
+
   const repoPath = config.repo_name;
-  const activeDir = path.join(repoPath, "appstream", "x86_64", "active");
 
-  console.log("Committing appstream data to OSTree refs...");
+  log.info("Committing appstream data to OSTree refs...");
 
-  try {
-    // Check if active directory has content
-    const files = await fs.readdir(activeDir);
-    if (files.length === 0) {
-      console.warn("  ⚠ No appstream files to commit");
-      return;
-    }
+  for (const arch of getArchitectures()) {
+    const activeDir = path.join(repoPath, "appstream", arch, "active");
 
-    // Commit to both refs that Flatpak might look for
-    // appstream/x86_64 is the standard ref
-    // appstream2/x86_64 is used by newer Flatpak versions
-    const refs = ["appstream/x86_64", "appstream2/x86_64"];
+    try {
+      // Check if active directory has content
+      const files = await fs.readdir(activeDir);
+      if (files.length === 0) {
+        log.warn(`  ⚠ No ${arch} appstream files to commit`);
+        continue;
+      }
 
-    for (const ref of refs) {
-      const commitCmd = `ostree commit --repo=${repoPath} --branch=${ref} --subject="Update appstream" ${activeDir}`;
-      try {
-        const { stdout } = await execAsync(commitCmd);
-        const commitHash = stdout.trim();
-        console.log(`  ✓ ${ref} → ${commitHash.substring(0, 8)}`);
-      } catch (error) {
-        console.warn(`  ✗ Could not commit to ${ref}: ${error.message}`);
+      // Commit to both refs that Flatpak might look for
+      // appstream/<arch> is the standard ref
+      // appstream2/<arch> is used by newer Flatpak versions
+      const refs = [`appstream/${arch}`, `appstream2/${arch}`];
+
+      for (const ref of refs) {
+        const commitCmd = `ostree commit --repo=${repoPath} --branch=${ref} --subject="Update appstream"${gpgSignArgs()} ${activeDir}`;
+        try {
+          const { stdout } = await execAsync(commitCmd);
+          const commitHash = stdout.trim();
+          log.info(`  ✓ ${ref} → ${commitHash.substring(0, 8)}`);
+        } catch (error) {
+          log.warn(`  ✗ Could not commit to ${ref}: ${error.message}`);
+        }
       }
+    } catch (error) {
+      log.warn(`  ⚠ Could not commit ${arch} appstream: ${error.message}`);
     }
-  } catch (error) {
-    console.warn(`  ⚠ Could not commit appstream: ${error.message}`);
   }
 }
 
 async function updateOstreeSummary() {
+  const log = logger.child({ step: "summary" });
+
   const repoPath = config.repo_name;
 
-  console.log("Updating OSTree summary...");
+  log.info("Updating OSTree summary...");
+
+  // `ostree summary -u` rebuilds the summary from scratch, so the Flatpak
+  // metadata has to be passed on the same invocation
+  const metadataArgs = getFlatpakMetadata()
+    .map(
+      ({ key, value }) =>
+        `--add-metadata=${shellQuote(`${key}=${toGVariantString(value)}`)}`,
+    )
+    .join(" ");
+
   try {
-    await execAsync(`ostree summary -u --repo=${repoPath}`);
-    console.log("  ✓ OSTree summary updated");
+    await execAsync(
+      `ostree summary -u --repo=${repoPath} ${metadataArgs}${gpgSignArgs()}`,
+    );
+    log.info("  ✓ OSTree summary updated with Flatpak metadata");
   } catch (error) {
     throw new Error(`Failed to update summary: ${error.message}`);
   }
+}
 
-  // Add Flatpak metadata
-  await addFlatpakMetadata();
+/**
+ * `xa.*` summary metadata describing the repository to Flatpak clients.
+ */
+function getFlatpakMetadata() {
+  const info = getRepoInfo();
+
+  return [
+    { key: "xa.title", value: info.title },
+    { key: "xa.comment", value: info.comment },
+    { key: "xa.description", value: info.description },
+    { key: "xa.homepage", value: info.homepage },
+    { key: "xa.icon", value: info.icon },
+  ].filter(({ value }) => value);
 }
 
-async function addFlatpakMetadata() {
+function toGVariantString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Flags passing the repository metadata to `flatpak build-update-repo`.
+ */
+function buildUpdateRepoArgs() {
+  const flags = {
+    title: "xa.title",
+    comment: "xa.comment",
+    description: "xa.description",
+    homepage: "xa.homepage",
+    icon: "xa.icon",
+  };
+  const metadata = getFlatpakMetadata();
+
+  return Object.entries(flags)
+    .map(([flag, key]) => [flag, metadata.find((item) => item.key === key)])
+    .filter(([, item]) => item)
+    .map(([flag, item]) => ` --${flag}=${shellQuote(item.value)}`)
+    .join("");
+}
+
+/**
+ * Check that appstream/<arch> and appstream2/<arch> exist for every
+ * architecture. Resolves with true when none are missing.
+ */
+export async function verifyAppstreamRefs() {
+  const log = logger.child({ step: "summary" });
+
   const repoPath = config.repo_name;
 
-  console.log("Adding Flatpak metadata to summary...");
+  log.info("\nVerifying appstream refs...");
 
-  const metadata = [
-    { key: "xa.title", value: config.repo_name },
-    { key: "xa.comment", value: "Mirrored Flatpak Repository" },
-    {
-      key: "xa.homepage",
-      value: "http://192.168.3.140/usrpkg-builder/usrpkg-repo/",
-    },
-  ];
+  try {
+    const { stdout } = await execAsync(`ostree refs --repo=${repoPath}`);
+    const refs = stdout.trim().split("\n").filter(Boolean);
+
+    const appstreamRefs = refs.filter((r) => r.includes("appstream"));
+    const expectedRefs = getArchitectures().flatMap((arch) => [
+      `appstream/${arch}`,
+      `appstream2/${arch}`,
+    ]);
+    const missingRefs = expectedRefs.filter(
+      (ref) => !appstreamRefs.includes(ref),
+    );
+
+    if (missingRefs.length === 0) {
+      log.info(`✓ Found ${appstreamRefs.length} appstream refs:`);
+      appstreamRefs.forEach((ref) => log.info(`  - ${ref}`));
+    } else {
+      log.warn(`⚠ Only found ${appstreamRefs.length} appstream ref(s):`);
+      appstreamRefs.forEach((ref) => log.info(`  - ${ref}`));
+
+      missingRefs.forEach((ref) => log.warn(`  Missing: ${ref}`));
+    }
+    return missingRefs.length === 0;
+  } catch (error) {
+    log.warn(`⚠ Could not verify refs: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Commit a local ref points at, or null when the ref does not exist.
+ */
+export async function resolveRef(ref) {
+  const repoPath = config.repo_name;
+
+  try {
+    const { stdout } = await execAsync(
+      `ostree rev-parse --repo=${repoPath} ${ref}`,
+    );
+    return stdout.trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the refs under refs/heads of the local repository.
+ */
+export async function listLocalRefs() {
+  const repoPath = config.repo_name;
+  const { stdout } = await execAsync(`ostree refs --repo=${repoPath}`, {
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout.trim().split("\n").filter(Boolean);
+}
 
-  for (const { key, value } of metadata) {
+/**
+ * Whether a commit object is present in the local repository.
+ */
+async function hasCommit(commit) {
+  const repoPath = config.repo_name;
+
+  try {
+    await execAsync(`ostree show --repo=${repoPath} ${commit}`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Commits to generate deltas from: the commit a ref pointed at before this
+ * run, then its parents, keeping only commits we still have locally.
+ */
+async function getDeltaSources(commit, previousCommit, depth) {
+  const candidates = previousCommit ? [previousCommit] : [];
+
+  let parent = commit;
+  for (let i = 0; i < depth; i++) {
     try {
-      await execAsync(
-        `ostree summary --repo=${repoPath} --add-metadata ${key}=s:'${value}'`,
+      const { stdout } = await execAsync(
+        `ostree rev-parse --repo=${config.repo_name} ${parent}^`,
       );
-      console.log(`  ✓ Added ${key}`);
+      parent = stdout.trim();
     } catch (error) {
-      console.warn(`  ⚠ Could not add ${key}: ${error.message}`);
+      // The commit has no parent
+      break;
     }
+    candidates.push(parent);
   }
+
+  const sources = [];
+  for (const candidate of new Set(candidates)) {
+    if (sources.length >= depth) {
+      break;
+    }
+    if (candidate !== commit && (await hasCommit(candidate))) {
+      sources.push(candidate);
+    }
+  }
+  return sources;
 }
 
-async function verifyAppstreamRefs() {
+/**
+ * Generate static deltas for refs that changed in this run, following the
+ * `static_deltas` config. Must run before the summary is updated so the
+ * summary lists them, and before pruning removes the previous commits.
+ * `previousCommits` maps refs to the commit they had before the run.
+ */
+export async function generateStaticDeltas(refs, previousCommits = new Map()) {
+  const log = logger.child({ step: "deltas" });
+
   const repoPath = config.repo_name;
+  const options = config.static_deltas || {};
+  if (!options.enabled) {
+    return 0;
+  }
+
+  const patterns = (options.refs || ["app/*", "runtime/*"]).map(globToRegExp);
+  const deltaRefs = refs.filter((ref) =>
+    patterns.some((pattern) => pattern.test(ref)),
+  );
+  if (deltaRefs.length === 0) {
+    return 0;
+  }
+
+  log.info(`\nGenerating static deltas for ${deltaRefs.length} refs...`);
+
+  const depth = options.depth ?? 1;
+  const fallbackArg = options.min_fallback_size
+    ? ` --min-fallback-size=${options.min_fallback_size}`
+    : "";
+  let generated = 0;
+
+  for (const ref of deltaRefs) {
+    const commit = await resolveRef(ref);
+    if (!commit) {
+      continue;
+    }
+
+    const sources = await getDeltaSources(
+      commit,
+      previousCommits.get(ref),
+      depth,
+    );
+    const fromArgs = sources.map((source) => `--from=${source}`);
+    if (options.from_scratch) {
+      fromArgs.push("--empty");
+    }
+
+    // Deltas are CPU heavy, so they are generated one at a time
+    for (const fromArg of fromArgs) {
+      try {
+        await execAsync(
+          `ostree static-delta generate --repo=${repoPath} ${fromArg} --to=${commit}${fallbackArg}`,
+          { maxBuffer: 64 * 1024 * 1024 },
+        );
+        generated++;
+      } catch (error) {
+        log.warn(`  ⚠ Could not generate delta for ${ref}: ${error.message}`);
+      }
+    }
 
-  console.log("\nVerifying appstream refs...");
+    if (fromArgs.length > 0) {
+      log.info(`  ✓ ${ref}: ${fromArgs.length} deltas`);
+    }
+  }
+
+  log.info(`✓ Generated ${generated} static deltas`);
+  return generated;
+}
+
+/**
+ * Total size in bytes of all files below a directory.
+ */
+async function getDirectorySize(dir) {
+  let total = 0;
+  let entries;
 
   try {
-    const { stdout } = await execAsync(`ostree refs --repo=${repoPath}`);
-    const refs = stdout.trim().split("\n").filter(Boolean);
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return 0;
+  }
 
-    const appstreamRefs = refs.filter((r) => r.includes("appstream"));
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(fullPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(fullPath)).size;
+    }
+  }
 
-    if (appstreamRefs.length >= 2) {
-      console.log(`✓ Found ${appstreamRefs.length} appstream refs:`);
-      appstreamRefs.forEach((ref) => console.log(`  - ${ref}`));
-    } else {
-      console.warn(`⚠ Only found ${appstreamRefs.length} appstream ref(s):`);
-      appstreamRefs.forEach((ref) => console.log(`  - ${ref}`));
+  return total;
+}
 
-      if (!appstreamRefs.includes("appstream/x86_64")) {
-        console.warn(`  Missing: appstream/x86_64`);
+/**
+ * History depth to keep for a ref: the first matching `depth_overrides`
+ * pattern, otherwise the global `prune.depth`.
+ */
+function getRetainDepth(ref) {
+  const overrides = config.prune?.depth_overrides || {};
+  for (const [pattern, depth] of Object.entries(overrides)) {
+    if (globToRegExp(pattern).test(ref)) {
+      return depth;
+    }
+  }
+  return config.prune?.depth ?? 0;
+}
+
+/**
+ * Delete app and runtime refs that are no longer selected, then prune
+ * unreachable objects while keeping the configured history per ref.
+ * Resolves with the deleted refs and the number of bytes reclaimed.
+ */
+export async function pruneRepo(keepRefs, { deleteUnselected = true } = {}) {
+  const log = logger.child({ step: "prune" });
+
+  const repoPath = config.repo_name;
+  const objectsDir = path.join(repoPath, "objects");
+  const deltasDir = path.join(repoPath, "deltas");
+
+  log.info("\nPruning repository...");
+
+  const sizeBefore =
+    (await getDirectorySize(objectsDir)) + (await getDirectorySize(deltasDir));
+  const refs = await listLocalRefs();
+  const deletedRefs = [];
+
+  if (deleteUnselected) {
+    for (const ref of refs) {
+      const mirrored = ref.startsWith("app/") || ref.startsWith("runtime/");
+      if (!mirrored || keepRefs.has(ref)) {
+        continue;
       }
-      if (!appstreamRefs.includes("appstream2/x86_64")) {
-        console.warn(`  Missing: appstream2/x86_64`);
+
+      try {
+        await deleteRef(ref);
+        deletedRefs.push(ref);
+        log.info(`  ✓ Deleted unselected ref: ${ref}`);
+      } catch (error) {
+        log.warn(`  ⚠ ${error.message}`);
       }
     }
+  }
+
+  // Refs whose depth differs from the default get an explicit retention rule
+  const defaultDepth = config.prune?.depth ?? 0;
+  const retainArgs = refs
+    .filter((ref) => !deletedRefs.includes(ref))
+    .filter((ref) => getRetainDepth(ref) !== defaultDepth)
+    .map((ref) => `--retain-branch-depth=${ref}=${getRetainDepth(ref)}`);
+
+  const pruneCommand = [
+    `ostree prune --repo=${repoPath} --refs-only --depth=${defaultDepth}`,
+    ...retainArgs,
+  ].join(" ");
+
+  try {
+    await execAsync(pruneCommand, { maxBuffer: 64 * 1024 * 1024 });
+  } catch (error) {
+    throw new Error(`Failed to run ostree prune: ${error.message}`);
+  }
+
+  const sizeAfter =
+    (await getDirectorySize(objectsDir)) + (await getDirectorySize(deltasDir));
+  const reclaimedBytes = Math.max(0, sizeBefore - sizeAfter);
+
+  log.info(
+    `✓ Pruned ${deletedRefs.length} refs, reclaimed ${formatBytes(reclaimedBytes)}`,
+  );
+
+  return { deletedRefs, reclaimedBytes };
+}
+
+/**
+ * Add our GPG signature to a commit. Does nothing when signing is not
+ * configured, and succeeds when the commit already carries our signature.
+ */
+export async function signCommit(commit) {
+  const repoPath = config.repo_name;
+  const key = getSigningKey();
+  if (!key) {
+    return false;
+  }
+
+  const homedir = key.homedir
+    ? ` --gpg-homedir=${shellQuote(key.homedir)}`
+    : "";
+  try {
+    await execAsync(
+      `ostree gpg-sign --repo=${repoPath} ${commit} ${shellQuote(key.keyId)}${homedir}`,
+    );
+  } catch (error) {
+    if (!/already signed/i.test(error.message)) {
+      throw new Error(`Failed to sign ${commit}: ${error.message}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * Components currently published in the active appstream of an
+ * architecture, or an empty list when nothing was published yet.
+ */
+export async function readPublishedAppstream(arch) {
+  const log = logger.child({ step: "appstream", arch });
+
+  const repoPath = config.repo_name;
+  const appstreamPath = path.join(
+    repoPath,
+    "appstream",
+    arch,
+    "active",
+    "appstream.xml",
+  );
+
+  try {
+    const xml = await fs.readFile(appstreamPath, "utf8");
+    const data = await parseStringPromise(xml);
+    return data?.components?.component || [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn(
+        `⚠ Could not read published ${arch} appstream: ${error.message}`,
+      );
+    }
+    return [];
+  }
+}
+
+/**
+ * Delete a ref from the local repository.
+ */
+export async function deleteRef(ref) {
+  const repoPath = config.repo_name;
+
+  try {
+    await execAsync(`ostree refs --repo=${repoPath} --delete ${ref}`);
   } catch (error) {
-    console.warn(`⚠ Could not verify refs: ${error.message}`);
+    throw new Error(`Failed to delete ${ref}: ${error.message}`);
   }
 }
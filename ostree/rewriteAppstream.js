@@ -0,0 +1,157 @@
+import config from "../utils/config.js";
+import { globToRegExp } from "../mirror/selectComponents.js";
+
+/**
+ * App IDs we carry, from the local `app/<id>/<arch>/<branch>` refs.
+ */
+function getCarriedApps(localRefs) {
+  return new Set(
+    localRefs
+      .filter((ref) => ref.startsWith("app/"))
+      .map((ref) => ref.split("/")[1]),
+  );
+}
+
+/**
+ * Whether a desktop file or app ID belongs to an app we carry. Flatpak
+ * requires exported desktop files to be prefixed with the app ID.
+ */
+function isCarriedId(id, carriedApps) {
+  const name = id.trim().replace(/\.desktop$/, "");
+  return [...carriedApps].some(
+    (appId) => name === appId || name.startsWith(`${appId}.`),
+  );
+}
+
+/**
+ * Drop bundle runtime and sdk attributes naming refs we don't carry.
+ */
+function rewriteBundle(component, localRefs) {
+  if (!component.bundle) {
+    return component;
+  }
+
+  const bundle = component.bundle.map((entry) => {
+    const attributes = { ...entry.$ };
+    for (const attribute of ["runtime", "sdk"]) {
+      if (
+        attributes[attribute] &&
+        !localRefs.has(`runtime/${attributes[attribute]}`)
+      ) {
+        delete attributes[attribute];
+      }
+    }
+    return { ...entry, $: attributes };
+  });
+
+  return { ...component, bundle };
+}
+
+/**
+ * Rename or strip upstream-specific `<custom>` (and legacy `<metadata>`)
+ * keys, following `appstream.custom_key_map` and `appstream.strip_custom_keys`.
+ */
+function rewriteCustom(component) {
+  const keyMap = config.appstream?.custom_key_map || {};
+  const stripPatterns = (config.appstream?.strip_custom_keys || []).map(
+    globToRegExp,
+  );
+  const result = { ...component };
+
+  for (const tag of ["custom", "metadata"]) {
+    if (!component[tag]) {
+      continue;
+    }
+
+    const blocks = component[tag]
+      .map((block) => {
+        const values = (block.value || [])
+          .map((value) => {
+            const key = value.$?.key;
+            return keyMap[key]
+              ? { ...value, $: { ...value.$, key: keyMap[key] } }
+              : value;
+          })
+          .filter((value) => {
+            const key = value.$?.key;
+            // Mapped keys are ours now and never stripped
+            return (
+              Object.values(keyMap).includes(key) ||
+              !stripPatterns.some((pattern) => pattern.test(key || ""))
+            );
+          });
+        return { ...block, value: values };
+      })
+      .filter((block) => block.value.length > 0);
+
+    if (blocks.length > 0) {
+      result[tag] = blocks;
+    } else {
+      delete result[tag];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Drop `<launchable type="desktop-id">` and `<provides><id>` entries that
+ * point at apps we don't carry.
+ */
+function rewriteLaunchables(component, carriedApps) {
+  const result = { ...component };
+  const text = (entry) => (typeof entry === "string" ? entry : entry._ || "");
+
+  if (component.launchable) {
+    result.launchable = component.launchable.filter(
+      (launchable) =>
+        launchable.$?.type !== "desktop-id" ||
+        isCarriedId(text(launchable), carriedApps),
+    );
+    if (result.launchable.length === 0) {
+      delete result.launchable;
+    }
+  }
+
+  if (component.provides) {
+    result.provides = component.provides
+      .map((provides) => {
+        if (!provides.id) {
+          return provides;
+        }
+        const ids = provides.id.filter((id) =>
+          isCarriedId(text(id), carriedApps),
+        );
+        const { id, ...rest } = provides;
+        return ids.length > 0 ? { ...rest, id: ids } : rest;
+      })
+      .filter(
+        (provides) =>
+          typeof provides === "string" || Object.keys(provides).length > 0,
+      );
+    if (result.provides.length === 0) {
+      delete result.provides;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rewrite upstream appstream components so they describe our repository:
+ * bundle runtimes we carry, our custom keys, and launchables and provides
+ * that resolve to apps we mirror.
+ */
+export function rewriteComponents(components, localRefs) {
+  const refs = new Set(localRefs);
+  const carriedApps = getCarriedApps(localRefs);
+
+  return components.map((component) =>
+    rewriteLaunchables(
+      rewriteCustom(rewriteBundle(component, refs)),
+      carriedApps,
+    ),
+  );
+}
+
+export default rewriteComponents;
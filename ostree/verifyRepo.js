@@ -0,0 +1,206 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import path from "path";
+
+import config, { getArchitectures } from "../utils/config.js";
+import { listLocalRefs, readPublishedAppstream } from "./ostreeManager.js";
+import { readRefMetadata } from "../mirror/fetchDependencies.js";
+import { parseSummary } from "../mirror/fetchSummary.js";
+
+const execAsync = promisify(exec);
+
+/**
+ * Local refs under refs/heads mapped to their commits.
+ */
+async function readLocalHeads() {
+  const heads = new Map();
+  for (const ref of await listLocalRefs()) {
+    // Remote-tracking refs are listed as `remote:ref`
+    if (ref.includes(":")) {
+      continue;
+    }
+    const { stdout } = await execAsync(
+      `ostree rev-parse --repo=${config.repo_name} ${ref}`,
+    );
+    heads.set(ref, stdout.trim());
+  }
+  return heads;
+}
+
+/**
+ * Run `ostree fsck` over every object in the repository.
+ */
+async function checkFsck() {
+  try {
+    await execAsync(`ostree fsck --repo=${config.repo_name}`, {
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return [];
+  } catch (error) {
+    const output = `${error.stdout || ""}${error.stderr || ""}`.trim();
+    return [output || error.message];
+  }
+}
+
+/**
+ * Both appstream refs must exist for every architecture.
+ */
+function checkAppstreamRefs(heads) {
+  return getArchitectures()
+    .flatMap((arch) => [`appstream/${arch}`, `appstream2/${arch}`])
+    .filter((ref) => !heads.has(ref))
+    .map((ref) => `Missing appstream ref ${ref}`);
+}
+
+/**
+ * Every app published in the appstream needs the app ref it points at.
+ */
+async function checkPublishedApps(heads) {
+  const problems = [];
+
+  for (const arch of getArchitectures()) {
+    for (const component of await readPublishedAppstream(arch)) {
+      const id = component.id?.[0] || "unknown";
+      const bundleRef = component.bundle?.[0]?._;
+      if (!bundleRef) {
+        problems.push(`${id} (${arch}) has no bundle ref in the appstream`);
+      } else if (!heads.has(bundleRef)) {
+        problems.push(
+          `${id} (${arch}) is published but ${bundleRef} is missing`,
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Every app needs its runtime, and every ref the dependencies recorded
+ * when it was mirrored.
+ */
+async function checkDependencies(heads, state) {
+  const problems = [];
+
+  for (const ref of heads.keys()) {
+    if (!ref.startsWith("app/") && !ref.startsWith("runtime/")) {
+      continue;
+    }
+
+    const entry = state.refs[ref];
+    const required = new Set(entry?.dependencies || []);
+
+    // Clients install the runtime the app's metadata names, whatever the
+    // branch pinning mirrored
+    if (ref.startsWith("app/")) {
+      try {
+        const metadata = await readRefMetadata(ref);
+        const runtime = metadata.Application?.runtime;
+        if (runtime) {
+          required.add(`runtime/${runtime}`);
+        }
+      } catch (error) {
+        problems.push(`Could not read metadata of ${ref}: ${error.message}`);
+      }
+    }
+
+    for (const dependency of required) {
+      if (!heads.has(dependency)) {
+        problems.push(`${ref} needs ${dependency}, which is missing`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * `fetchPackage` turns refs/mirrors entries into local refs and removes
+ * them; any that are left over point at a pull that did not finish.
+ */
+async function checkMirrorLeftovers() {
+  const mirrorsDir = path.join(config.repo_name, "refs", "mirrors");
+  let entries;
+  try {
+    entries = await fs.readdir(mirrorsDir, {
+      recursive: true,
+      withFileTypes: true,
+    });
+  } catch (error) {
+    return [];
+  }
+
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => {
+      const file = path.join(entry.parentPath ?? entry.path, entry.name);
+      return `Leftover mirror ref ${path.relative(mirrorsDir, file)}`;
+    });
+}
+
+/**
+ * The published summary must list exactly the refs in refs/heads, at the
+ * same commits.
+ */
+async function checkSummary(heads) {
+  let summary;
+  try {
+    summary = parseSummary(
+      await fs.readFile(path.join(config.repo_name, "summary")),
+    );
+  } catch (error) {
+    return [`Could not read summary: ${error.message}`];
+  }
+
+  const problems = [];
+  for (const [ref, commit] of heads) {
+    const listed = summary.refs.get(ref);
+    if (!listed) {
+      problems.push(`${ref} is not in the summary`);
+    } else if (listed.commit !== commit) {
+      problems.push(
+        `Summary lists ${ref} at ${listed.commit.substring(0, 8)}, but it is at ${commit.substring(0, 8)}`,
+      );
+    }
+  }
+  for (const ref of summary.refs.keys()) {
+    if (!heads.has(ref)) {
+      problems.push(`Summary lists ${ref}, which does not exist`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check the repository is consistent and installable. Resolves with a
+ * report of every check and the problems it found.
+ */
+export async function verifyRepo(state) {
+  const heads = await readLocalHeads();
+
+  const checks = {
+    fsck: await checkFsck(),
+    appstreamRefs: checkAppstreamRefs(heads),
+    publishedApps: await checkPublishedApps(heads),
+    dependencies: await checkDependencies(heads, state),
+    mirrorLeftovers: await checkMirrorLeftovers(),
+    summary: await checkSummary(heads),
+  };
+
+  const results = Object.entries(checks).map(([name, problems]) => ({
+    name,
+    ok: problems.length === 0,
+    problems,
+  }));
+
+  return {
+    repository: config.repo_name,
+    checkedAt: new Date().toISOString(),
+    refs: heads.size,
+    ok: results.every((result) => result.ok),
+    checks: results,
+  };
+}
+
+export default verifyRepo;
@@ -0,0 +1,253 @@
+import http from "http";
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream";
+
+import config from "../utils/config.js";
+import { getRepoInfo } from "../utils/repoInfo.js";
+import { printClientInstructions } from "../ostree/clientFiles.js";
+import logger from "../utils/logger.js";
+
+const log = logger.child({ step: "serve" });
+
+const CONTENT_TYPES = {
+  ".flatpakrepo": "application/vnd.flatpak.repo",
+  ".flatpakref": "application/vnd.flatpak.ref",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".gz": "application/gzip",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".html": "text/html; charset=utf-8",
+  ".sig": "application/octet-stream",
+};
+
+// OSTree content is addressed by checksum and never changes once written
+const IMMUTABLE_DIRS = ["objects/", "deltas/"];
+
+// Files that change on every publish and must always be fetched fresh
+const UNCACHED_FILES = ["summary", "summary.sig", "config"];
+
+function getContentType(relativePath) {
+  return (
+    CONTENT_TYPES[path.extname(relativePath)] || "application/octet-stream"
+  );
+}
+
+function getCacheControl(relativePath) {
+  if (IMMUTABLE_DIRS.some((dir) => relativePath.startsWith(dir))) {
+    return "public, max-age=31536000, immutable";
+  }
+  if (
+    UNCACHED_FILES.includes(relativePath) ||
+    relativePath.startsWith("summaries/")
+  ) {
+    return "no-store";
+  }
+  return "no-cache";
+}
+
+function getETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a single-range `Range: bytes=…` header. Returns null when the
+ * header is absent or unsupported, and `{ invalid: true }` when it can't be
+ * satisfied.
+ */
+function parseRange(header, size) {
+  const match = header?.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return { invalid: true };
+  }
+  return { start, end };
+}
+
+/**
+ * .flatpakrepo and .flatpakref files point at the public URL; when serving
+ * them ourselves, point them at the address the client used instead.
+ */
+function isClientFile(relativePath) {
+  return (
+    relativePath.endsWith(".flatpakrepo") ||
+    relativePath.endsWith(".flatpakref")
+  );
+}
+
+async function sendClientFile(req, res, filePath) {
+  const localUrl = `http://${req.headers.host}/`;
+  const content = (await fs.promises.readFile(filePath, "utf8")).replaceAll(
+    getRepoInfo().url,
+    localUrl,
+  );
+
+  res.writeHead(200, {
+    "Content-Type": getContentType(filePath),
+    "Content-Length": Buffer.byteLength(content),
+    "Cache-Control": "no-cache",
+  });
+  res.end(req.method === "HEAD" ? undefined : content);
+}
+
+async function handleRequest(req, res, rootDir) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD" });
+    res.end();
+    return;
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch (error) {
+    // Malformed percent-encoding
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  const filePath = path.join(rootDir, urlPath);
+  const relativePath = path.relative(rootDir, filePath);
+
+  // Never serve anything outside the repository
+  if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    stats = null;
+  }
+  if (!stats || !stats.isFile()) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+
+  if (isClientFile(relativePath)) {
+    await sendClientFile(req, res, filePath);
+    return;
+  }
+
+  const etag = getETag(stats);
+  const headers = {
+    "Content-Type": getContentType(relativePath),
+    "Cache-Control": getCacheControl(relativePath),
+    "Last-Modified": stats.mtime.toUTCString(),
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+  };
+
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  // A Range is only honoured when If-Range (if sent) still matches
+  const ifRange = req.headers["if-range"];
+  const range =
+    !ifRange || ifRange === etag
+      ? parseRange(req.headers.range, stats.size)
+      : null;
+
+  if (range?.invalid) {
+    res.writeHead(416, {
+      ...headers,
+      "Content-Range": `bytes */${stats.size}`,
+    });
+    res.end();
+    return;
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stats.size - 1;
+
+  res.writeHead(range ? 206 : 200, {
+    ...headers,
+    "Content-Length": stats.size === 0 ? 0 : end - start + 1,
+    ...(range && { "Content-Range": `bytes ${start}-${end}/${stats.size}` }),
+  });
+
+  if (req.method === "HEAD" || stats.size === 0) {
+    res.end();
+    return;
+  }
+
+  // The file may vanish under a concurrent sync or prune; drop the response
+  // rather than let the stream error take the server down
+  pipeline(fs.createReadStream(filePath, { start, end }), res, (error) => {
+    if (error) {
+      log.debug(`Aborted ${urlPath}: ${error.message}`);
+      res.destroy();
+    }
+  });
+}
+
+/**
+ * Addresses clients can reach the server on.
+ */
+function getServerAddresses(host) {
+  if (host !== "0.0.0.0" && host !== "::") {
+    return [host];
+  }
+
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface.family === "IPv4" && !iface.internal)
+    .map((iface) => iface.address);
+  return addresses.length > 0 ? addresses : ["127.0.0.1"];
+}
+
+/**
+ * Serve the repository over HTTP with OSTree-friendly caching.
+ */
+export function serveRepo({ host = "0.0.0.0", port = 8080 } = {}) {
+  const rootDir = path.resolve(config.repo_name);
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, rootDir).catch((error) => {
+      log.error(`✗ ${req.method} ${req.url}: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500);
+      }
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const [address, ...others] = getServerAddresses(host);
+      log.info(`✓ Serving ${rootDir} on http://${host}:${port}/`);
+      printClientInstructions(`http://${address}:${port}/`);
+      if (others.length > 0) {
+        log.info(`\nAlso reachable at:`);
+        others.forEach((other) => log.info(`  http://${other}:${port}/`));
+      }
+      resolve(server);
+    });
+  });
+}
+
+export default serveRepo;
@@ -6,6 +6,38 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export default yaml.load(
-  fs.readFileSync(path.join(__dirname, "..", "config.yaml"), "utf8"),
-);
+export const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config.yaml");
+
+// Shared by every module; loadConfig() replaces its contents in place
+const config = {};
+
+/**
+ * Load a config file into the shared config object.
+ */
+export function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  const loaded = yaml.load(fs.readFileSync(configPath, "utf8")) || {};
+
+  for (const key of Object.keys(config)) {
+    delete config[key];
+  }
+  Object.assign(config, loaded);
+  return config;
+}
+
+// The default config is loaded up front; the CLI may load another one
+if (fs.existsSync(DEFAULT_CONFIG_PATH)) {
+  loadConfig();
+}
+
+/**
+ * Architectures to mirror, defaulting to x86_64 when none are configured.
+ */
+export function getArchitectures() {
+  const arches = config.architectures;
+  if (Array.isArray(arches) && arches.length > 0) {
+    return arches;
+  }
+  return ["x86_64"];
+}
+
+export default config;
@@ -0,0 +1,66 @@
+// Patterns of ostree and flatpak error output, checked in order against the
+// `error:` lines of stderr, so the command line and progress output don't
+// match them.
+const ERROR_CLASSES = [
+  { name: "gpg", pattern: /\bGPG\b|signature/i },
+  { name: "disk", pattern: /No space left on device|ENOSPC|quota exceeded/i },
+  { name: "eol", pattern: /end[- ]of[- ]life|\bEOL\b/i },
+  {
+    name: "not-found",
+    pattern: /No such (ref|branch)|not found|status 404|\b404\b/i,
+  },
+  {
+    name: "network",
+    pattern:
+      /Could not resolve|Timeout was reached|timed out|Connection (refused|reset|closed)|Couldn't connect|Server returned HTTP|status 5\d\d|\bTLS\b|\bSSL\b|Network is unreachable/i,
+  },
+];
+
+// Classes worth another attempt; the rest won't go away by retrying
+const TRANSIENT_CLASSES = ["network"];
+
+/**
+ * A pull that failed, with the class of the failure and how many
+ * attempts were made.
+ */
+export class PullError extends Error {
+  constructor(message, { errorClass, attempts = 1 } = {}) {
+    super(message);
+    this.name = "PullError";
+    this.errorClass = errorClass;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Text a failure is classified on: the `error:` lines of a failed
+ * command's stderr, all of stderr when it has none, or the message of
+ * anything else (a command's message also holds its command line).
+ */
+function getErrorText(error) {
+  const text = error?.stderr || error?.message || String(error);
+  const errorLines = text
+    .split("\n")
+    .filter((line) => /^error:/i.test(line.trim()));
+  return errorLines.length > 0 ? errorLines.join("\n") : text;
+}
+
+/**
+ * Rough class of a failure, so it can be retried or reported by cause.
+ */
+export function classifyError(error) {
+  if (error?.errorClass) {
+    return error.errorClass;
+  }
+  const text = getErrorText(error);
+  return (
+    ERROR_CLASSES.find(({ pattern }) => pattern.test(text))?.name || "unknown"
+  );
+}
+
+/**
+ * Whether a failure of this class may succeed when tried again.
+ */
+export function isTransient(errorClass) {
+  return TRANSIENT_CLASSES.includes(errorClass);
+}
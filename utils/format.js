@@ -0,0 +1,67 @@
+/**
+ * Format a byte count for log output, e.g. `1.5 GB`.
+ */
+export function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = Math.abs(bytes);
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  const sign = bytes < 0 ? "-" : "";
+  return `${sign}${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Quote a value for safe use as a single shell word.
+ */
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+const SIZE_UNITS = {
+  b: 1,
+  bytes: 1,
+  kb: 1000,
+  mb: 1000 ** 2,
+  gb: 1000 ** 3,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+};
+
+/**
+ * Bytes transferred according to the summary line `ostree pull` prints,
+ * e.g. `12.3 MB transferred in 4 seconds`. Returns 0 when there is none.
+ */
+export function parseTransferredBytes(output) {
+  const match = String(output || "").match(
+    /([\d.]+)\s*(bytes|[kmg]i?b|b)\s+transferred/i,
+  );
+  if (!match) {
+    return 0;
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Escape text for inclusion in HTML.
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Write a line of command output to stdout. Unlike the log, it is not
+ * silenced by `--quiet` or wrapped by `--log-format json`.
+ */
+export function printLine(line = "") {
+  process.stdout.write(`${line}\n`);
+}
@@ -0,0 +1,54 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import config from "./config.js";
+import { shellQuote } from "./format.js";
+
+const execAsync = promisify(exec);
+
+/**
+ * Signing key from config, or null when publishing unsigned.
+ */
+export function getSigningKey() {
+  const keyId = config.gpg?.key_id;
+  if (!keyId) {
+    return null;
+  }
+  return { keyId, homedir: config.gpg.homedir || null };
+}
+
+/**
+ * `--gpg-sign`/`--gpg-homedir` flags for ostree and flatpak commands,
+ * or an empty string when signing is not configured.
+ */
+export function gpgSignArgs() {
+  const key = getSigningKey();
+  if (!key) {
+    return "";
+  }
+
+  const homedir = key.homedir
+    ? ` --gpg-homedir=${shellQuote(key.homedir)}`
+    : "";
+  return ` --gpg-sign=${shellQuote(key.keyId)}${homedir}`;
+}
+
+/**
+ * Export the public signing key as base64, as used by `GPGKey=` in
+ * .flatpakrepo and .flatpakref files.
+ */
+export async function exportPublicKey() {
+  const key = getSigningKey();
+  if (!key) {
+    return null;
+  }
+
+  const homedir = key.homedir ? `--homedir ${shellQuote(key.homedir)} ` : "";
+  const { stdout } = await execAsync(
+    `gpg ${homedir}--export ${shellQuote(key.keyId)}`,
+    { encoding: "buffer" },
+  );
+  if (stdout.length === 0) {
+    throw new Error(`GPG key ${key.keyId} not found`);
+  }
+  return stdout.toString("base64");
+}
@@ -0,0 +1,274 @@
+/**
+ * Minimal little-endian GVariant deserializer, enough to read OSTree and
+ * Flatpak summary files without going through the ostree CLI.
+ *
+ * Values come back as plain JavaScript: numbers for integers (64-bit values
+ * are converted from BigInt), strings, Buffers for `ay`, arrays for other
+ * arrays and tuples, objects for dictionaries with string keys, and the
+ * unwrapped content for variants.
+ */
+
+const FIXED_BASIC = {
+  b: { size: 1, align: 1 },
+  y: { size: 1, align: 1 },
+  n: { size: 2, align: 2 },
+  q: { size: 2, align: 2 },
+  i: { size: 4, align: 4 },
+  u: { size: 4, align: 4 },
+  h: { size: 4, align: 4 },
+  x: { size: 8, align: 8 },
+  t: { size: 8, align: 8 },
+  d: { size: 8, align: 8 },
+};
+
+const VARIABLE_BASIC = {
+  s: { align: 1 },
+  o: { align: 1 },
+  g: { align: 1 },
+  v: { align: 8 },
+};
+
+function alignTo(offset, alignment) {
+  return Math.ceil(offset / alignment) * alignment;
+}
+
+function offsetSize(size) {
+  if (size === 0) return 0;
+  if (size <= 0xff) return 1;
+  if (size <= 0xffff) return 2;
+  if (size <= 0xffffffff) return 4;
+  return 8;
+}
+
+function readOffset(buffer, position, size) {
+  switch (size) {
+    case 1:
+      return buffer.readUInt8(position);
+    case 2:
+      return buffer.readUInt16LE(position);
+    case 4:
+      return buffer.readUInt32LE(position);
+    case 8:
+      return Number(buffer.readBigUInt64LE(position));
+    default:
+      return 0;
+  }
+}
+
+function finishContainer(node, members) {
+  node.align = Math.max(1, ...members.map((member) => member.align));
+
+  if (members.every((member) => member.size !== null)) {
+    let offset = 0;
+    for (const member of members) {
+      offset = alignTo(offset, member.align) + member.size;
+    }
+    node.size = members.length === 0 ? 1 : alignTo(offset, node.align);
+  } else {
+    node.size = null;
+  }
+
+  return node;
+}
+
+/**
+ * Parse a GVariant type string into a tree with size/alignment info.
+ */
+function parseType(signature, position = 0) {
+  const code = signature[position];
+
+  if (FIXED_BASIC[code]) {
+    return { node: { code, ...FIXED_BASIC[code] }, end: position + 1 };
+  }
+
+  if (VARIABLE_BASIC[code]) {
+    return {
+      node: { code, size: null, ...VARIABLE_BASIC[code] },
+      end: position + 1,
+    };
+  }
+
+  if (code === "a" || code === "m") {
+    const { node: element, end } = parseType(signature, position + 1);
+    const node = { code, element, align: element.align, size: null };
+    return { node, end };
+  }
+
+  if (code === "(" || code === "{") {
+    const close = code === "(" ? ")" : "}";
+    const members = [];
+    let cursor = position + 1;
+    while (signature[cursor] !== close) {
+      if (cursor >= signature.length) {
+        throw new Error(`Unterminated GVariant type: ${signature}`);
+      }
+      const { node: member, end } = parseType(signature, cursor);
+      members.push(member);
+      cursor = end;
+    }
+    const node = finishContainer({ code, members }, members);
+    return { node, end: cursor + 1 };
+  }
+
+  throw new Error(`Unsupported GVariant type '${code}' in ${signature}`);
+}
+
+function readBasic(buffer, start, end, code) {
+  switch (code) {
+    case "b":
+      return buffer[start] !== 0;
+    case "y":
+      return buffer[start];
+    case "n":
+      return buffer.readInt16LE(start);
+    case "q":
+      return buffer.readUInt16LE(start);
+    case "i":
+    case "h":
+      return buffer.readInt32LE(start);
+    case "u":
+      return buffer.readUInt32LE(start);
+    case "x":
+      return Number(buffer.readBigInt64LE(start));
+    case "t":
+      return Number(buffer.readBigUInt64LE(start));
+    case "d":
+      return buffer.readDoubleLE(start);
+    case "s":
+    case "o":
+    case "g": {
+      const stringEnd = buffer[end - 1] === 0 ? end - 1 : end;
+      return buffer.toString("utf8", start, stringEnd);
+    }
+    default:
+      throw new Error(`Unsupported GVariant basic type '${code}'`);
+  }
+}
+
+function readVariant(buffer, start, end) {
+  const separator = buffer.lastIndexOf(0, end - 1);
+  if (separator < start) {
+    throw new Error("Malformed GVariant variant");
+  }
+  const signature = buffer.toString("utf8", separator + 1, end);
+  const { node } = parseType(signature);
+  return readValue(buffer, start, separator, node);
+}
+
+function readArray(buffer, start, end, node) {
+  const { element } = node;
+  const size = end - start;
+
+  if (element.code === "y") {
+    return buffer.subarray(start, end);
+  }
+
+  const items = [];
+  if (size === 0) {
+    return finishArray(items, element);
+  }
+
+  if (element.size !== null) {
+    const count = Math.floor(size / element.size);
+    for (let i = 0; i < count; i++) {
+      const itemStart = start + i * element.size;
+      items.push(
+        readValue(buffer, itemStart, itemStart + element.size, element),
+      );
+    }
+    return finishArray(items, element);
+  }
+
+  const framing = offsetSize(size);
+  const tableStart = readOffset(buffer, end - framing, framing);
+  const count = (size - tableStart) / framing;
+
+  let previousEnd = 0;
+  for (let i = 0; i < count; i++) {
+    const itemStart = alignTo(previousEnd, element.align);
+    const itemEnd = readOffset(
+      buffer,
+      start + tableStart + i * framing,
+      framing,
+    );
+    items.push(readValue(buffer, start + itemStart, start + itemEnd, element));
+    previousEnd = itemEnd;
+  }
+
+  return finishArray(items, element);
+}
+
+function finishArray(items, element) {
+  // Dictionaries keyed by strings become plain objects
+  if (element.code === "{" && "sog".includes(element.members[0].code)) {
+    return Object.fromEntries(items);
+  }
+  return items;
+}
+
+function readMaybe(buffer, start, end, node) {
+  if (start === end) {
+    return null;
+  }
+  if (node.element.size !== null) {
+    return readValue(buffer, start, end, node.element);
+  }
+  return readValue(buffer, start, end - 1, node.element);
+}
+
+function readTuple(buffer, start, end, node) {
+  const framing = offsetSize(end - start);
+  const values = [];
+  let framingIndex = 0;
+  let position = 0;
+
+  node.members.forEach((member, index) => {
+    const memberStart = alignTo(position, member.align);
+    let memberEnd;
+
+    if (member.size !== null) {
+      memberEnd = memberStart + member.size;
+    } else if (index === node.members.length - 1) {
+      memberEnd = end - start - framing * framingIndex;
+    } else {
+      framingIndex++;
+      memberEnd = readOffset(buffer, end - framing * framingIndex, framing);
+    }
+
+    values.push(
+      readValue(buffer, start + memberStart, start + memberEnd, member),
+    );
+    position = memberEnd;
+  });
+
+  return values;
+}
+
+function readValue(buffer, start, end, node) {
+  switch (node.code) {
+    case "v":
+      return readVariant(buffer, start, end);
+    case "a":
+      return readArray(buffer, start, end, node);
+    case "m":
+      return readMaybe(buffer, start, end, node);
+    case "(":
+    case "{":
+      return readTuple(buffer, start, end, node);
+    default:
+      return readBasic(buffer, start, end, node.code);
+  }
+}
+
+/**
+ * Deserialize `buffer` as a GVariant of the given type string.
+ */
+export function parseGVariant(signature, buffer) {
+  const { node, end } = parseType(signature);
+  if (end !== signature.length) {
+    throw new Error(`Invalid GVariant type: ${signature}`);
+  }
+  return readValue(buffer, 0, buffer.length, node);
+}
+
+export default parseGVariant;
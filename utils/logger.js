@@ -0,0 +1,91 @@
+/**
+ * Leveled logger. Text output keeps the familiar human-readable lines;
+ * JSON output writes one object per line with the level, message and the
+ * logger's context (remote, ref, step, …) for journald and log shippers.
+ */
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["text", "json"];
+
+const settings = { level: "info", format: "text", stderr: false };
+
+// Status markers used in text output, dropped from JSON messages
+const MARKERS = /^[\s✓✗⚠→]+/u;
+
+/**
+ * Set the minimum level and output format for every logger. With `stderr`
+ * all entries go to stderr, leaving stdout to a command's report.
+ */
+export function configureLogger({ level, format, stderr } = {}) {
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    settings.level = level;
+  }
+  if (format !== undefined) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format: ${format}`);
+    }
+    settings.format = format;
+  }
+  if (stderr !== undefined) {
+    settings.stderr = stderr;
+  }
+}
+
+function isEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+}
+
+function normalizeFields(fields) {
+  if (fields instanceof Error) {
+    return { error: fields.message };
+  }
+  return fields || {};
+}
+
+function write(level, context, message, fields) {
+  if (!isEnabled(level)) {
+    return;
+  }
+
+  // Warnings and errors go to stderr so stdout stays usable for output
+  const stream =
+    settings.stderr || level === "warn" || level === "error"
+      ? process.stderr
+      : process.stdout;
+
+  if (settings.format === "json") {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: String(message).replace(MARKERS, "").trim(),
+      ...context,
+      ...normalizeFields(fields),
+    };
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  const extra = normalizeFields(fields);
+  const suffix = extra.error ? ` ${extra.error}` : "";
+  stream.write(`${message}${suffix}\n`);
+}
+
+/**
+ * Create a logger whose entries carry `context`. `child()` adds to it.
+ */
+export function createLogger(context = {}) {
+  return {
+    debug: (message, fields) => write("debug", context, message, fields),
+    info: (message, fields) => write("info", context, message, fields),
+    warn: (message, fields) => write("warn", context, message, fields),
+    error: (message, fields) => write("error", context, message, fields),
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+const logger = createLogger();
+
+export default logger;
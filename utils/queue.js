@@ -1 +1,81 @@
-export const queue = [];
+/**
+ * Job queue that runs at most `concurrency` async jobs at once.
+ *
+ * Jobs pushed with a key are only run once for the lifetime of the queue:
+ * pushing the same key again returns the first job's promise, so a runtime
+ * shared by many apps is fetched a single time.
+ */
+export function createQueue({ concurrency = 1 } = {}) {
+  const limit = Math.max(1, concurrency);
+  const pending = [];
+  const keyed = new Map();
+  let active = 0;
+  let idleWaiters = [];
+
+  function next() {
+    while (active < limit && pending.length > 0) {
+      const { job, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+
+    if (active === 0 && pending.length === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  function push(job, key) {
+    if (key !== undefined && keyed.has(key)) {
+      return keyed.get(key);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      pending.push({ job, resolve, reject });
+    });
+    if (key !== undefined) {
+      keyed.set(key, promise);
+    }
+
+    next();
+    return promise;
+  }
+
+  function onIdle() {
+    if (active === 0 && pending.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  return {
+    push,
+    onIdle,
+    get active() {
+      return active;
+    },
+    get size() {
+      return pending.length;
+    },
+  };
+}
+
+/**
+ * Mutex for work that must not overlap, such as writing refs. Returns a
+ * function that runs the given async callback once earlier holders finish.
+ */
+export function createLock() {
+  let tail = Promise.resolve();
+
+  return (callback) => {
+    const result = tail.then(callback);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
@@ -0,0 +1,33 @@
+import path from "path";
+import config from "./config.js";
+
+/**
+ * Public description of the repository, shared by the .flatpakrepo file,
+ * the `xa.*` summary metadata and the client instructions.
+ */
+export function getRepoInfo() {
+  let url = config.public_url;
+  if (!url) {
+    // Without a public URL the repository can only be used locally
+    url = `file://${path.resolve(config.repo_name)}`;
+  }
+  if (!url.endsWith("/")) {
+    url += "/";
+  }
+
+  // repo_name may be a path (--repo); clients only ever see its last part
+  const name = path.basename(path.resolve(config.repo_name));
+
+  return {
+    name,
+    url,
+    title: config.title || config.repo_title || name,
+    comment: config.comment || "Local Flatpak mirror",
+    description:
+      config.description || "Mirrored Flatpak packages for local network use",
+    homepage: config.homepage || url,
+    icon: config.icon || null,
+  };
+}
+
+export default getRepoInfo;
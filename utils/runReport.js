@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import path from "path";
+
+import config from "./config.js";
+import { getStateDir } from "./state.js";
+import { escapeHtml, formatBytes } from "./format.js";
+
+const REPORT_VERSION = 1;
+
+// Reports of this many runs are kept by default
+const DEFAULT_KEEP = 10;
+
+export function getReportsDir() {
+  return path.join(getStateDir(), "reports");
+}
+
+/**
+ * Build the report of a finished (or aborted) sync run.
+ */
+export function createRunReport(run, { error = null } = {}) {
+  const refs = [...run.refReports.values()].sort((a, b) =>
+    a.ref.localeCompare(b.ref),
+  );
+  const counts = { "up-to-date": 0, updated: 0, new: 0, failed: 0 };
+  refs.forEach((ref) => counts[ref.outcome]++);
+
+  let status = "ok";
+  if (error) {
+    status = "failed";
+  } else if (counts.failed > 0 || run.incomplete) {
+    status = "partial";
+  }
+
+  const finishedAt = new Date().toISOString();
+  return {
+    version: REPORT_VERSION,
+    repository: config.repo_name,
+    startedAt: run.startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(run.startedAt),
+    status,
+    incomplete: Boolean(run.incomplete),
+    error: error ? error.message : null,
+    counts,
+    bytesFetched: refs.reduce((total, ref) => total + ref.bytesFetched, 0),
+    refs,
+  };
+}
+
+function renderRow(ref) {
+  const short = (commit) => escapeHtml(commit?.substring(0, 8) || "-");
+  return `<tr class="${escapeHtml(ref.outcome)}">
+<td>${escapeHtml(ref.ref)}</td><td>${escapeHtml(ref.remote)}</td>
+<td>${escapeHtml(ref.outcome)}</td><td>${short(ref.oldCommit)}</td>
+<td>${short(ref.newCommit)}</td><td>${formatBytes(ref.bytesFetched)}</td>
+<td>${(ref.durationMs / 1000).toFixed(1)} s</td>
+<td>${ref.error ? `${escapeHtml(ref.error.class)}: ${escapeHtml(ref.error.message)}` : ""}</td>
+</tr>`;
+}
+
+const STYLE = `body{font-family:sans-serif;margin:2em}
+table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.3em .6em;text-align:left}
+.failed{background:#fdd}.updated,.new{background:#dfd}`;
+
+/**
+ * Static HTML rendering of a run report.
+ */
+export function renderRunReport(report) {
+  // Changes and failures first, since those are what people look for
+  const order = { failed: 0, updated: 1, new: 2, "up-to-date": 3 };
+  const refs = [...report.refs].sort(
+    (a, b) => order[a.outcome] - order[b.outcome],
+  );
+  const { counts } = report;
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8">
+<title>${escapeHtml(report.repository)} sync ${escapeHtml(report.startedAt)}</title>
+<style>${STYLE}</style></head><body>
+<h1>Sync of ${escapeHtml(report.repository)}: ${escapeHtml(report.status)}</h1>
+<p>${escapeHtml(report.startedAt)} – ${escapeHtml(report.finishedAt)} (${Math.round(report.durationMs / 1000)} s),
+${formatBytes(report.bytesFetched)} fetched</p>
+<p>${counts.updated} updated, ${counts.new} new, ${counts.failed} failed, ${counts["up-to-date"]} up to date</p>
+${report.error ? `<p><strong>Run failed:</strong> ${escapeHtml(report.error)}</p>` : ""}
+${report.incomplete ? "<p>Some catalogs or dependencies could not be resolved; unselected refs were kept.</p>" : ""}
+<table><thead><tr><th>Ref</th><th>Remote</th><th>Outcome</th><th>Old</th><th>New</th><th>Fetched</th><th>Duration</th><th>Error</th></tr></thead>
+<tbody>
+${refs.map(renderRow).join("\n")}
+</tbody></table>
+<p><a href="index.html">All runs</a></p>
+</body></html>
+`;
+}
+
+function renderIndex(reports) {
+  const rows = reports
+    .map(
+      ({
+        name,
+        report,
+      }) => `<tr class="${report.status === "ok" ? "" : "failed"}">
+<td><a href="${escapeHtml(name)}.html">${escapeHtml(report.startedAt)}</a></td>
+<td>${escapeHtml(report.status)}</td><td>${report.counts.updated + report.counts.new}</td>
+<td>${report.counts.failed}</td><td><a href="${escapeHtml(name)}.json">JSON</a></td></tr>`,
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Sync runs</title>
+<style>${STYLE}</style></head><body>
+<h1>Sync runs</h1>
+<table><thead><tr><th>Started</th><th>Status</th><th>Changed</th><th>Failed</th><th></th></tr></thead>
+<tbody>
+${rows}
+</tbody></table>
+</body></html>
+`;
+}
+
+/**
+ * Write a run report as JSON and HTML under `<state_dir>/reports`, drop
+ * reports beyond `reports.keep` runs and refresh the index. Resolves with
+ * the path of the JSON report.
+ */
+export async function writeRunReport(report) {
+  const dir = getReportsDir();
+  const name = `run-${report.startedAt.replace(/[:.]/g, "-")}`;
+  const json = JSON.stringify(report, null, 2);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${name}.json`), json);
+  await fs.writeFile(path.join(dir, `${name}.html`), renderRunReport(report));
+  await fs.writeFile(path.join(dir, "latest.json"), json);
+
+  // Timestamps sort chronologically, so the oldest runs come first
+  const keep = Math.max(1, config.reports?.keep ?? DEFAULT_KEEP);
+  const names = (await fs.readdir(dir))
+    .filter((file) => /^run-.*\.json$/.test(file))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+  for (const old of names.slice(0, Math.max(0, names.length - keep))) {
+    await fs.rm(path.join(dir, `${old}.json`), { force: true });
+    await fs.rm(path.join(dir, `${old}.html`), { force: true });
+  }
+
+  const reports = [];
+  for (const kept of names.slice(-keep).reverse()) {
+    try {
+      const content = await fs.readFile(path.join(dir, `${kept}.json`), "utf8");
+      reports.push({ name: kept, report: JSON.parse(content) });
+    } catch (error) {
+      // A report that can't be read is left out of the index
+    }
+  }
+  await fs.writeFile(path.join(dir, "index.html"), renderIndex(reports));
+
+  return path.join(dir, `${name}.json`);
+}
@@ -0,0 +1,84 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "./config.js";
+import logger from "./logger.js";
+
+const log = logger.child({ step: "state" });
+
+const STATE_VERSION = 1;
+
+/**
+ * Directory holding the builder's own bookkeeping, kept outside the
+ * published repository.
+ */
+export function getStateDir() {
+  return config.state_dir || "usrpkg-state";
+}
+
+function getStatePath() {
+  return path.join(getStateDir(), "mirror-state.json");
+}
+
+function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    // Absolute path of the repository this state describes
+    repository: null,
+    // ref → { remote, upstreamCommit, localCommit, mirroredAt, outcome }
+    refs: {},
+    // Every ref the last sync selected, apps and dependencies alike
+    selectedRefs: [],
+    // Apps added with the `add` command: [{ id, remote }]
+    manualApps: [],
+    lastSync: null,
+  };
+}
+
+function getRepoPath() {
+  return path.resolve(config.repo_name);
+}
+
+/**
+ * Load the persisted mirror state, or an empty state on the first run.
+ * Fails when the state was written for another repository, whose refs
+ * and selection would otherwise be applied to this one.
+ */
+export async function loadState() {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(getStatePath(), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.warn(`⚠ Could not read mirror state: ${error.message}`);
+    }
+    return createEmptyState();
+  }
+
+  if (state.repository && state.repository !== getRepoPath()) {
+    throw new Error(
+      `${getStatePath()} belongs to ${state.repository}, not ${getRepoPath()}; set state_dir for this repository`,
+    );
+  }
+  return { ...createEmptyState(), ...state };
+}
+
+/**
+ * Persist the mirror state, replacing the previous file atomically.
+ */
+export async function saveState(state) {
+  const statePath = getStatePath();
+  const tempPath = `${statePath}.tmp`;
+
+  state.repository = getRepoPath();
+  await fs.mkdir(getStateDir(), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.rename(tempPath, statePath);
+}
+
+/**
+ * Merge new fields into the recorded state of a ref.
+ */
+export function recordRef(state, ref, fields) {
+  state.refs[ref] = { ...state.refs[ref], ...fields };
+  return state.refs[ref];
+}